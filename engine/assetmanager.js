@@ -1,46 +1,197 @@
 class AssetManager {
+    // File extension -> asset kind (queueDownload infers the kind from the path)
+    static TYPES = {
+        png: "image", jpg: "image", jpeg: "image", gif: "image", webp: "image",
+        mp3: "audio", ogg: "audio", wav: "audio", m4a: "audio",
+        json: "json", tmj: "json", tsj: "json",
+        tsx: "text", xml: "text"
+    };
+
     constructor() {
         this.successCount = 0;
         this.errorCount = 0;
         this.cache = [];
         this.downloadQueue = [];
+
+        // Bytes received so far, and every asset that failed as { path, reason }
+        this.bytesLoaded = 0;
+        this.failed = [];
+
+        // Shared Web Audio context (created on first use); audio assets are decoded AudioBuffers
+        this.audioCtx = null;
+
+        // downloadAll callers waiting for the queue to drain: { callback, onProgress }
+        this.waiters = [];
+    };
+
+    static typeOf(path) {
+        const ext = path.split("?")[0].split(".").pop().toLowerCase();
+        return AssetManager.TYPES[ext] || "image";
     };
 
-    queueDownload(path) {
+    queueDownload(path, type = AssetManager.typeOf(path)) {
         console.log("Queueing " + path);
-        this.downloadQueue.push(path);
+        this.downloadQueue.push({ path, type, started: false });
+    };
+
+    isQueued(path) {
+        return this.downloadQueue.some(entry => entry.path === path);
     };
 
     isDone() {
         return this.downloadQueue.length === this.successCount + this.errorCount;
     };
 
-    downloadAll(callback) {
-        if (this.downloadQueue.length === 0) setTimeout(callback, 10);
-        for (let i = 0; i < this.downloadQueue.length; i++) {
+    // Snapshot handed to the downloadAll progress callback
+    getProgress() {
+        return {
+            loaded: this.successCount + this.errorCount,
+            total: this.downloadQueue.length,
+            bytes: this.bytesLoaded,
+            failed: this.failed.slice()
+        };
+    };
+
+    // Downloads everything queued that hasn't started yet; safe to call again after queueing more.
+    // onProgress(getProgress()) runs after each asset settles; callback runs once the whole queue is done.
+    // Failed assets are recorded in this.failed and do not stop the callback from firing.
+    downloadAll(callback, onProgress = null) {
+        this.waiters.push({ callback, onProgress });
+
+        for (const entry of this.downloadQueue) {
+            if (entry.started) continue;
+            entry.started = true;
+
+            const { path, type } = entry;
+            this._download(path, type)
+                .then(asset => {
+                    console.log("Loaded " + path);
+                    this.cache[path] = asset;
+                    this.successCount++;
+                }, error => {
+                    console.log("Error loading " + path, error);
+                    this.failed.push({ path, reason: error?.message || String(error) });
+                    this.errorCount++;
+                })
+                .then(() => this._settled());
+        }
+
+        // Nothing new to fetch: still answer asynchronously, like a real download
+        if (this.isDone()) setTimeout(() => this._settled(), 10);
+    };
+
+    // Queues whatever in paths isn't queued yet; resolves when everything queued has settled
+    loadAssets(paths, onProgress = null) {
+        for (const path of paths) {
+            if (!this.isQueued(path)) this.queueDownload(path);
+        }
+        return new Promise(resolve => this.downloadAll(resolve, onProgress));
+    };
+
+    _settled() {
+        const progress = this.getProgress();
+        for (const waiter of this.waiters) {
+            if (waiter.onProgress) waiter.onProgress(progress);
+        }
+        if (!this.isDone()) return;
+
+        const waiters = this.waiters;
+        this.waiters = [];
+        for (const waiter of waiters) waiter.callback();
+    };
+
+    async _download(path, type) {
+        const response = await fetch(path);
+        if (!response.ok) throw new Error("HTTP " + response.status);
+
+        if (type === "json") {
+            const buffer = await response.arrayBuffer();
+            this.bytesLoaded += buffer.byteLength;
+            return JSON.parse(new TextDecoder().decode(buffer));
+        }
+
+        if (type === "text") {
+            const buffer = await response.arrayBuffer();
+            this.bytesLoaded += buffer.byteLength;
+            return new TextDecoder().decode(buffer);
+        }
+
+        if (type === "audio") {
+            const buffer = await response.arrayBuffer();
+            this.bytesLoaded += buffer.byteLength;
+            return this._decodeAudio(buffer, path);
+        }
+
+        const blob = await response.blob();
+        this.bytesLoaded += blob.size;
+        return this._loadImage(URL.createObjectURL(blob));
+    };
+
+    _loadImage(src) {
+        return new Promise((resolve, reject) => {
             const img = new Image();
+            img.addEventListener("load", () => resolve(img));
+            img.addEventListener("error", () => reject(new Error("Image could not be decoded")));
+            img.src = src;
+        });
+    };
 
-            const path = this.downloadQueue[i];
-            console.log(path);
+    // AudioBuffer when Web Audio exists; otherwise an <audio> element that playAudio clones
+    async _decodeAudio(buffer, path) {
+        const ctx = this.getAudioContext();
+        if (!ctx) return new Audio(path);
+        return ctx.decodeAudioData(buffer);
+    };
 
-            img.addEventListener("load", () => {
-                console.log("Loaded " + img.src);
-                this.successCount++;
-                if (this.isDone()) callback();
-            });
+    getAudioContext() {
+        if (this.audioCtx) return this.audioCtx;
 
-            img.addEventListener("error", () => {
-                console.log("Error loading " + img.src);
-                this.errorCount++;
-                if (this.isDone()) callback();
-            });
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
 
-            img.src = path;
-            this.cache[path] = img;
+        this.audioCtx = new AudioContextClass();
+        return this.audioCtx;
+    };
+
+    // Plays a preloaded sound (a new voice each call, so rapid triggers overlap).
+    // Returns a handle with stop(). Paths that were never queued fall back to a one-off <audio>.
+    playAudio(path, { volume = 1, loop = false } = {}) {
+        const asset = this.cache[path];
+        const ctx = this.audioCtx;
+
+        if (ctx && asset && typeof asset.getChannelData === "function") {
+            // Browsers keep the context suspended until a user gesture
+            if (ctx.state === "suspended") ctx.resume().catch(() => {});
+
+            const source = ctx.createBufferSource();
+            source.buffer = asset;
+            source.loop = loop;
+
+            const gain = ctx.createGain();
+            gain.gain.value = volume;
+
+            source.connect(gain).connect(ctx.destination);
+            source.start();
+
+            return { stop: () => { try { source.stop(); } catch (e) { } } };
         }
+
+        // Headless (Node): no audio at all
+        if (typeof Audio === "undefined") return { stop: () => {} };
+
+        const audio = new Audio(path);
+        audio.volume = volume;
+        audio.loop = loop;
+        audio.play().catch(() => {});
+        return { stop: () => audio.pause() };
     };
 
     getAsset(path) {
         return this.cache[path];
     };
-};
\ No newline at end of file
+
+    // Puts already-loaded data in the cache (headless mode reads TMJ files from disk)
+    setAsset(path, asset) {
+        this.cache[path] = asset;
+    };
+};
@@ -1,6 +1,11 @@
 // This game shell was happily modified from Googler Seth Ladd's "Bad Aliens" game and his Google IO talk in 2011
 
 class GameEngine {
+    // Render layers, bottom to top. Entities choose one with a `layer` field (default "world").
+    // The world layer is depth-sorted by y so things lower on screen overlap things above them;
+    // "above" covers it (map layers that render over the player, like tree canopies).
+    static LAYERS = ["ground", "world", "above", "effects", "overlay", "hud"];
+
     constructor(options) {
         // What you will use to draw
         // Documentation: https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D
@@ -9,11 +14,52 @@ class GameEngine {
         // Everything that will be updated and drawn each frame
         this.entities = [];
 
+        // Scene stack (scene.js). Bottom is Gameplay; overlays push on top of it.
+        this.scenes = [];
+
+        // Event bus: event name -> Set of handlers (see on / off / emit)
+        this.listeners = new Map();
+
+        // Uniform-grid index of entity positions for proximity queries (spatialhash.js)
+        this.spatial = new SpatialHash(64);
+
+        // Seeded PRNG for spawns / loot / AI (random.js); options.seed replays a run
+        this.rng = new SeededRandom(options?.seed ?? SeededRandom.randomSeed());
+        SeededRandom.shared = this.rng;
+
+        // Simulated seconds while the world updates (stops under overlays), and timers scheduled on it.
+        // worldTime follows the time scale (timer.js); unscaledTime is the same clock at normal speed.
+        this.worldTime = 0;
+        this.unscaledTime = 0;
+        this.timers = [];
+
+        // UI command handlers by name (see command); recorded so replays repeat mouse-driven actions
+        this.commands = new Map();
+
+        // Replay recording / playback (replay.js). While this.replay is set, input comes from the file.
+        this.recorder = new ReplayRecorder(this);
+        this.replay = null;
+        this.inTick = false;
+
+        // Frame / per-tag timing overlay (profiler.js); off until toggled
+        this.profiler = new Profiler();
+
+        // Canvas sizing + view pixel mapping (viewport.js); null when headless
+        this.viewport = null;
+
+        // While true the loop runs no ticks (level builds are async; see loop)
+        this.loadingLevel = false;
+
         // Information on the input
         this.click = null;
         this.mouse = null;
         this.wheel = null;
-        this.keys = {};
+
+        // Action layer (input.js): rebindable keys with pressed / held / released edges
+        this.input = new InputManager();
+
+        // Render interpolation factor (0..1) between the last two simulation ticks
+        this.alpha = 1;
 
         // Options and the Details
         this.options = options || {
@@ -21,10 +67,22 @@ class GameEngine {
         };
     };
 
+    // Pass ctx = null for headless mode (Node, tools/headless.js): no canvas, no DOM input,
+    // nothing is drawn, and the simulation is advanced by hand with stepTicks()
     init(ctx) {
         this.ctx = ctx;
-        this.startInput();
+        this.headless = !ctx;
+        if (!this.headless) {
+            this.viewport = new Viewport(ctx, (viewW, viewH) => this.onViewportResize(viewW, viewH));
+            this.startInput();
+        }
         this.timer = new Timer();
+
+        // Gameplay scene owns the entity list
+        this.pushScene(new Scene("Gameplay", {
+            update: () => this.updateEntities(),
+            draw: (ctx) => this.drawEntities(ctx)
+        }));
     };
 
     start() {
@@ -36,11 +94,23 @@ class GameEngine {
         gameLoop();
     };
 
+    // Size of the visible area in view pixels (what game code draws in; see viewport.js)
+    get viewW() {
+        return this.viewport ? this.viewport.viewW : Viewport.DESIGN_WIDTH;
+    };
+
+    get viewH() {
+        return this.viewport ? this.viewport.viewH : Viewport.DESIGN_HEIGHT;
+    };
+
+    onViewportResize(viewW, viewH) {
+        if (this.camera) this.camera.resize(viewW, viewH);
+        this.emit("viewport:resized", { viewW, viewH });
+    };
+
     startInput() {
-        const getXandY = e => ({
-            x: e.clientX - this.ctx.canvas.getBoundingClientRect().left,
-            y: e.clientY - this.ctx.canvas.getBoundingClientRect().top
-        });
+        // Mouse positions are in view pixels, like everything drawn on the canvas
+        const getXandY = e => this.viewport.toView(e.clientX, e.clientY);
         
         this.ctx.canvas.addEventListener("mousemove", e => {
             if (this.options.debugging) {
@@ -72,49 +142,371 @@ class GameEngine {
             this.rightclick = getXandY(e);
         });
 
-        this.ctx.canvas.addEventListener("keydown", event => this.keys[event.key] = true);
-        this.ctx.canvas.addEventListener("keyup", event => this.keys[event.key] = false);
+        this.input.attach(window);
     };
 
+    // Lifecycle hooks: entities may define onAdded(game) / onRemoved(game) to set up and tear down
+    // anything that outlives them otherwise (DOM nodes, listeners). onRemoved runs for every way an
+    // entity leaves: removeFromWorld at the end of a tick and clearEntities on level switches.
     addEntity(entity) {
         this.entities.push(entity);
+        this.spatial.insert(entity);
+        if (typeof entity.onAdded === "function") entity.onAdded(this);
+    };
+
+    // Removes every entity except those keep(entity) returns true for (level switches)
+    clearEntities(keep = () => false) {
+        const removed = this.entities.filter(entity => !(entity && keep(entity)));
+        this.entities = this.entities.filter(entity => entity && keep(entity));
+        this.spatial.rebuild(this.entities);
+
+        for (const entity of removed) this.entityRemoved(entity);
+    };
+
+    entityRemoved(entity) {
+        if (entity && typeof entity.onRemoved === "function") entity.onRemoved(this);
+    };
+
+    // ----- Proximity queries -----
+    // Positions as of the latest update (each entity is re-filed right after it moves).
+
+    queryRadius(x, y, r, tag = null) {
+        return this.spatial.queryRadius(x, y, r, tag);
+    };
+
+    queryRect(x, y, w, h, tag = null) {
+        return this.spatial.queryRect(x, y, w, h, tag);
+    };
+
+    // ----- Event bus -----
+    // Gameplay events ("enemy:died", "coin:collected", ...) so systems can react
+    // instead of scanning the entity list every tick.
+
+    // Subscribes a handler; returns a function that unsubscribes it
+    on(name, handler) {
+        if (!this.listeners.has(name)) this.listeners.set(name, new Set());
+        this.listeners.get(name).add(handler);
+        return () => this.off(name, handler);
+    };
+
+    off(name, handler) {
+        const handlers = this.listeners.get(name);
+        if (handlers) handlers.delete(handler);
+    };
+
+    // Calls every handler synchronously (copy first so handlers may unsubscribe themselves)
+    emit(name, payload = {}) {
+        const handlers = this.listeners.get(name);
+        if (!handlers) return;
+
+        for (const handler of [...handlers]) {
+            handler(payload);
+        }
+    };
+
+    // ----- World timers -----
+    // setTimeout on simulated time: fires during updateEntities, so it pauses with the world and
+    // replays on the same tick. Returns a function that cancels the timer.
+    // { unscaled: true } ignores slow motion / hit-stop (UI pacing such as dialogue toasts).
+    after(seconds, fn, { unscaled = false } = {}) {
+        const timer = { at: (unscaled ? this.unscaledTime : this.worldTime) + seconds, fn, unscaled };
+        this.timers.push(timer);
+        return () => {
+            const i = this.timers.indexOf(timer);
+            if (i !== -1) this.timers.splice(i, 1);
+        };
+    };
+
+    runTimers() {
+        const isDue = timer => timer.at <= (timer.unscaled ? this.unscaledTime : this.worldTime);
+        const due = this.timers.filter(isDue);
+        if (due.length === 0) return;
+
+        this.timers = this.timers.filter(timer => !isDue(timer));
+        for (const timer of due) timer.fn();
+    };
+
+    // ----- Time scale (timer.js) -----
+
+    // Freezes the world briefly so a hit lands with some weight
+    hitStop(seconds) {
+        this.timer.hitStop(seconds);
+    };
+
+    slowMotion(scale, seconds) {
+        this.timer.slowMotion(scale, seconds);
+    };
+
+    // Global game speed; set it from game code inside a tick so a replay repeats the change
+    setTimeScale(scale) {
+        this.timer.setTimeScale(scale);
+    };
+
+    // A new level or replay starts without the last one's hit-stop / slow motion
+    clearTimeEffects() {
+        this.timer.clearEffects();
+    };
+
+    // ----- UI commands -----
+    // Actions triggered from DOM overlays (button clicks) go through here instead of being called
+    // directly, so a recording can replay them on the right tick. Commands issued inside a tick
+    // (keyboard / gamepad menu navigation) aren't recorded: replaying the input repeats them.
+
+    registerCommand(name, handler) {
+        this.commands.set(name, handler);
+    };
+
+    command(name, args = {}) {
+        const handler = this.commands.get(name);
+        if (!handler) return;
+
+        if (!this.inTick) {
+            // While watching a replay, the viewer's own clicks must not change the run
+            if (this.replay && !this.replay.dispatching) return;
+            this.recorder.captureCommand(name, args);
+        }
+        return handler(args);
     };
 
-    draw() {
-        // Clear the whole canvas with transparent color (rgba(0, 0, 0, 0))
+    // Starts watching a recording (replay.js); commands recorded before the first tick run right away
+    startReplay(data) {
+        this.clearTimeEffects();
+        this.replay = new ReplayPlayer(this, data);
+        this.replay.dispatchCommands();
+        return this.replay;
+    };
+
+    // ----- Scene stack -----
+
+    get topScene() {
+        return this.scenes[this.scenes.length - 1] || null;
+    };
+
+    hasScene(name) {
+        return this.scenes.some(scene => scene.name === name);
+    };
+
+    // Pushes a scene on top (ignored if a scene with the same name is already open)
+    pushScene(scene) {
+        if (this.hasScene(scene.name)) return null;
+
+        this.scenes.push(scene);
+        if (scene.onEnter) scene.onEnter(this);
+        return scene;
+    };
+
+    // Pops the top scene, or the topmost scene with the given name
+    popScene(name) {
+        let index = this.scenes.length - 1;
+        if (name !== undefined) {
+            while (index >= 0 && this.scenes[index].name !== name) index--;
+        }
+        if (index < 1) return null; // never pop Gameplay
+
+        const [scene] = this.scenes.splice(index, 1);
+        if (scene.onExit) scene.onExit(this);
+        return scene;
+    };
+
+    // Scenes that run this tick: walk down from the top until one blocks the rest
+    _activeScenes(flag) {
+        const active = [];
+        for (let i = this.scenes.length - 1; i >= 0; i--) {
+            active.unshift(this.scenes[i]);
+            if (!this.scenes[i][flag]) break;
+        }
+        return active;
+    };
+
+    draw(alpha = 1) {
+        if (!this.ctx) return;
+
+        this.alpha = alpha;
+        if (this.camera) this.camera.alpha = alpha;
+
+        // Clear the whole canvas with transparent color (rgba(0, 0, 0, 0)), then draw in view pixels
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
         this.ctx.clearRect(0, 0, this.ctx.canvas.width, this.ctx.canvas.height);
+        this.viewport.applyTransform();
+
+        for (const scene of this._activeScenes("drawsBelow")) {
+            scene.draw(this.ctx, this);
+        }
+
+        if (this.profiler.enabled) {
+            this.viewport.applyTransform();
+            this.profiler.draw(this.ctx, this.entities, this.viewW);
+        }
+    };
 
-        // Draw latest things first
-        for (let i = this.entities.length - 1; i >= 0; i--) {
-            this.entities[i].draw(this.ctx, this);
+    // Draws every layer in order; inside a layer entities draw in the order they were added.
+    // Entities may also hand extra y-sorted pieces to the world layer through getWorldSprites(ctx)
+    // (TileMap tile-objects like trees), each shaped { sortY, draw(ctx) }.
+    drawEntities(ctx) {
+        const layers = new Map(GameEngine.LAYERS.map(name => [name, []]));
+
+        for (const entity of this.entities) {
+            const layer = layers.get(entity.layer) || layers.get("world");
+            layer.push(entity);
+
+            if (typeof entity.getWorldSprites === "function") {
+                layers.get("world").push(...entity.getWorldSprites(ctx));
+            }
+        }
+
+        const world = layers.get("world");
+        const keys = new Map(world.map(item => [item, this.sortYOf(item)]));
+        world.sort((a, b) => keys.get(a) - keys.get(b));
+
+        const profiler = this.profiler.enabled ? this.profiler : null;
+        for (const items of layers.values()) {
+            for (const item of items) {
+                if (!profiler) {
+                    item.draw(ctx, this);
+                    continue;
+                }
+                const start = profiler.now();
+                item.draw(ctx, this);
+                profiler.time("draw", Profiler.tagOf(item), profiler.now() - start);
+            }
         }
     };
 
+    // Depth key for the world layer: explicit sortY, else the bottom of the collision box
+    // (feet), else the interpolated y. Things without a position draw first.
+    sortYOf(item) {
+        if (typeof item.sortY === "number") return item.sortY;
+        if (typeof item.x !== "number" || typeof item.y !== "number") return -Infinity;
+
+        const pos = this.renderPosition(item);
+        if (typeof item.getCollisionAABBAt === "function") {
+            const box = item.getCollisionAABBAt(pos.x, pos.y);
+            return box.top + box.h;
+        }
+        return pos.y;
+    };
+
     update() {
-        // Global pause handling: freeze world updates while paused.
-        if (this.isPaused) return;
+        // Remember where everything was so draw() can interpolate toward this tick
+        // (also keeps frozen entities still while an overlay scene is open)
+        this.snapshotPositions();
+
+        // Resolve this tick's action edges once so every scene / entity sees the same state
+        // (from the devices, or from the replay file while one is playing)
+        if (this.replay) this.input.applyFrame(this.replay.nextFrame());
+        else this.input.update();
+
+        this.recorder.captureTick(this.input.captureFrame());
+
+        this.inTick = true;
+        try {
+            for (const scene of this._activeScenes("updatesBelow")) {
+                scene.update(this);
+            }
+        } finally {
+            this.inTick = false;
+        }
+
+        this.recorder.endTick();
+        if (this.replay) this.replay.endTick();
+    };
+
+    updateEntities() {
+        // Entities see the scaled tick; overlay scenes keep the fixed step set by the loop
+        const delta = this.timer.advanceWorld();
+        this.unscaledTime += this.clockTick;
+
+        if (delta === 0) {
+            // Hit-stop: nothing reads this tick's presses, so keep them for the first tick that runs
+            this.input.carryPressed();
+            this.runTimers();
+            return;
+        }
+
+        this.clockTick = delta;
+        this.worldTime += delta;
+        this.runTimers();
+
+        // Fresh index each tick (covers level swaps that replace this.entities, knockback, teleports)
+        this.spatial.rebuild(this.entities);
 
         let entitiesCount = this.entities.length;
+        const profiler = this.profiler.enabled ? this.profiler : null;
 
         for (let i = 0; i < entitiesCount; i++) {
             let entity = this.entities[i];
 
             if (!entity.removeFromWorld) {
+                const start = profiler ? profiler.now() : 0;
                 entity.update();
+                this.spatial.move(entity);
+                if (profiler) profiler.time("update", Profiler.tagOf(entity), profiler.now() - start);
             }
         }
 
         for (let i = this.entities.length - 1; i >= 0; --i) {
-            if (this.entities[i].removeFromWorld) {
+            const entity = this.entities[i];
+            if (entity.removeFromWorld) {
+                this.spatial.remove(entity);
                 this.entities.splice(i, 1);
+                this.entityRemoved(entity);
             }
         }
     };
 
+    // Stores last-tick positions on entities (and the camera) for render interpolation
+    snapshotPositions() {
+        if (this.camera && typeof this.camera.snapshot === "function") this.camera.snapshot();
+
+        for (const entity of this.entities) {
+            if (typeof entity.x !== "number" || typeof entity.y !== "number") continue;
+            entity.prevX = entity.x;
+            entity.prevY = entity.y;
+        }
+    };
+
+    // Position to draw an entity at: blends last tick -> current tick by this.alpha
+    renderPosition(entity) {
+        const px = entity.prevX ?? entity.x;
+        const py = entity.prevY ?? entity.y;
+        return {
+            x: px + (entity.x - px) * this.alpha,
+            y: py + (entity.y - py) * this.alpha
+        };
+    };
+
+    // Runs exactly `count` fixed simulation ticks, independent of real time (headless checks, tools)
+    stepTicks(count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.clockTick = this.timer.step;
+            this.timer.gameTime += this.timer.step;
+            this.update();
+        }
+    };
+
+    // Fixed-timestep loop: run as many simulation ticks as real time allows, then draw once.
+    // No ticks run while a level is loading (the wait is dropped), so the tick a level starts on
+    // doesn't depend on download speed. A replay may run several ticks per step (fast-forward) or none.
     loop() {
-        this.clockTick = this.timer.tick();
-        this.update();
-        this.draw();
+        this.profiler.beginFrame();
+        this.timer.tick();
+
+        while (this.timer.consumeStep()) {
+            if (this.loadingLevel) {
+                this.timer.accumulator = 0;
+                break;
+            }
+
+            const ticks = this.replay ? this.replay.ticksForStep() : 1;
+            for (let i = 0; i < ticks && !this.loadingLevel; i++) {
+                this.clockTick = this.timer.step;
+                this.update();
+            }
+        }
+
+        if (this.replay) this.replay.applyCamera();
+        this.draw(this.timer.alpha);
+        this.profiler.endFrame();
     };
 
 };
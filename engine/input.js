@@ -0,0 +1,399 @@
+// InputManager: action layer on top of raw keyboard events, gamepads and touch controls.
+// - Game code asks about actions ("attack", "interact", ...) instead of key strings
+// - update() runs once per simulation tick (GameEngine.update): polls navigator.getGamepads()
+//   and computes pressed / held / released edges
+// - Keyboard bindings are rebindable (key-binding screen in main.js) and persisted in localStorage
+// - The left stick is also exposed as an analog vector (getMoveVector) for Player movement
+// - On-screen controls (game/touch_controls.js) feed the same state through setVirtualStick / setVirtualButton
+// - captureFrame / applyFrame turn one tick's resolved state into a compact array (replay.js records and replays it)
+
+class InputManager {
+    // action -> default keys (normalized: letters are lowercase, " " is Space)
+    static DEFAULT_BINDINGS = {
+        move_up: ["w", "ArrowUp"],
+        move_down: ["s", "ArrowDown"],
+        move_left: ["a", "ArrowLeft"],
+        move_right: ["d", "ArrowRight"],
+        attack: [" "],
+        special: ["y"],
+        interact: ["e"],
+        pause: ["p"],
+        toggle_map: ["m"],
+        cancel: ["Escape"],
+
+        // Menu "click" for gamepads (keyboard already clicks a focused button with Enter/Space)
+        confirm: []
+    };
+
+    // action -> standard-mapping gamepad buttons
+    // (0 A, 1 B, 2 X, 3 Y, 8 Back/View, 9 Start/Menu, 12-15 D-pad up/down/left/right)
+    static GAMEPAD_BINDINGS = {
+        move_up: [12],
+        move_down: [13],
+        move_left: [14],
+        move_right: [15],
+        attack: [0],
+        special: [2],
+        interact: [3],
+        pause: [9],
+        toggle_map: [8],
+        cancel: [1],
+        confirm: [0]
+    };
+
+    // Stick values below this are treated as 0 (worn sticks rarely rest at exactly 0)
+    static STICK_DEADZONE = 0.2;
+
+    // Stick deflection that also counts as a held move_* action (menus, D-pad style checks)
+    static STICK_DIGITAL = 0.5;
+
+    // Labels shown on the key-binding screen (in this order)
+    static ACTION_LABELS = {
+        move_up: "Move Up",
+        move_down: "Move Down",
+        move_left: "Move Left",
+        move_right: "Move Right",
+        attack: "Attack 1",
+        special: "Attack 2 (AoE)",
+        interact: "Interact / Talk",
+        pause: "Menu",
+        toggle_map: "Toggle Map",
+        cancel: "Close / Back"
+    };
+
+    static STORAGE_KEY = "inputBindings";
+
+    constructor() {
+        // Keys currently held down
+        this.down = new Set();
+
+        // Fresh keydowns since the last tick (so a quick tap between two ticks still counts)
+        this._tapped = new Set();
+
+        // Actions pressed on a tick the world sat out (hit-stop); pressed again on the next update()
+        this._carried = new Set();
+
+        // Gamepad state from the last poll: held button indices + left stick after deadzone
+        this.padDown = new Set();
+        this.stick = { x: 0, y: 0 };
+
+        // On-screen controls: raw joystick (-1..1 per axis) + held / freshly tapped actions
+        this.virtualStick = { x: 0, y: 0 };
+        this.virtualDown = new Set();
+        this._virtualTapped = new Set();
+
+        // action -> { held, pressed, released } for the current tick
+        this.state = {};
+        for (const action of Object.keys(InputManager.DEFAULT_BINDINGS)) {
+            this.state[action] = { held: false, pressed: false, released: false };
+        }
+
+        // One-shot key capture for the binding screen (bypasses actions)
+        this._captureFn = null;
+
+        this.bindings = this.loadBindings();
+    };
+
+    // Folds the different spellings browsers use into one key name
+    static normalizeKey(key) {
+        if (key === "Spacebar" || key === "Space") return " ";
+        if (key === "Esc") return "Escape";
+        if (typeof key === "string" && key.length === 1) return key.toLowerCase();
+        return key;
+    };
+
+    // Human-readable key name (binding screen, hints)
+    static keyLabel(key) {
+        const names = {
+            " ": "Space",
+            ArrowUp: "↑",
+            ArrowDown: "↓",
+            ArrowLeft: "←",
+            ArrowRight: "→",
+            Escape: "Esc"
+        };
+        if (names[key]) return names[key];
+        return key.length === 1 ? key.toUpperCase() : key;
+    };
+
+    // Wires keyboard listeners (window, so focused overlay buttons don't swallow input)
+    attach(target) {
+        target.addEventListener("keydown", e => this.onKeyDown(e));
+        target.addEventListener("keyup", e => this.onKeyUp(e));
+
+        // Drop everything when focus leaves the page so keys don't get stuck down
+        target.addEventListener("blur", () => {
+            this.down.clear();
+            this.virtualDown.clear();
+            this.setVirtualStick(0, 0);
+        });
+    };
+
+    onKeyDown(e) {
+        const key = InputManager.normalizeKey(e.key);
+
+        if (this._captureFn) {
+            e.preventDefault();
+            const fn = this._captureFn;
+            this._captureFn = null;
+            fn(key);
+            return;
+        }
+
+        this.down.add(key);
+        if (!e.repeat) this._tapped.add(key);
+    };
+
+    onKeyUp(e) {
+        this.down.delete(InputManager.normalizeKey(e.key));
+    };
+
+    setVirtualStick(x, y) {
+        this.virtualStick.x = x;
+        this.virtualStick.y = y;
+    };
+
+    setVirtualButton(action, down) {
+        if (down) {
+            this.virtualDown.add(action);
+            this._virtualTapped.add(action);
+        } else {
+            this.virtualDown.delete(action);
+        }
+    };
+
+    // Reads every connected pad (buttons are merged; the first stick out of its deadzone wins)
+    pollGamepads() {
+        this.padDown.clear();
+        this.stick.x = 0;
+        this.stick.y = 0;
+
+        const pads = typeof navigator !== "undefined" && navigator.getGamepads ? navigator.getGamepads() : [];
+        for (const pad of pads) {
+            if (!pad || !pad.connected) continue;
+
+            pad.buttons.forEach((button, i) => {
+                if (button.pressed) this.padDown.add(i);
+            });
+
+            if (this.stick.x === 0 && this.stick.y === 0) {
+                const stick = InputManager.applyDeadzone(pad.axes[0] || 0, pad.axes[1] || 0);
+                this.stick.x = stick.x;
+                this.stick.y = stick.y;
+            }
+        }
+    };
+
+    // Radial deadzone, rescaled so the usable range still starts at 0 and tops out at 1
+    static applyDeadzone(x, y) {
+        const dz = InputManager.STICK_DEADZONE;
+        const mag = Math.hypot(x, y);
+        if (mag <= dz) return { x: 0, y: 0 };
+
+        const scaled = Math.min(1, (mag - dz) / (1 - dz));
+        return { x: (x / mag) * scaled, y: (y / mag) * scaled };
+    };
+
+    // Is the stick pushed far enough toward a move_* direction to count as held?
+    _stickHolds(action) {
+        const t = InputManager.STICK_DIGITAL;
+        switch (action) {
+            case "move_up": return this.stick.y <= -t;
+            case "move_down": return this.stick.y >= t;
+            case "move_left": return this.stick.x <= -t;
+            case "move_right": return this.stick.x >= t;
+            default: return false;
+        }
+    };
+
+    // Called once per simulation tick before scenes update
+    update() {
+        this.pollGamepads();
+
+        // Gamepad stick wins; otherwise the on-screen joystick drives movement
+        if (this.stick.x === 0 && this.stick.y === 0) {
+            const stick = InputManager.applyDeadzone(this.virtualStick.x, this.virtualStick.y);
+            this.stick.x = stick.x;
+            this.stick.y = stick.y;
+        }
+
+        for (const action of Object.keys(this.state)) {
+            const keys = this.bindings[action] || [];
+            const buttons = InputManager.GAMEPAD_BINDINGS[action] || [];
+            const tapped = keys.some(k => this._tapped.has(k)) || this._virtualTapped.has(action) || this._carried.has(action);
+            const held = tapped ||
+                keys.some(k => this.down.has(k)) ||
+                buttons.some(b => this.padDown.has(b)) ||
+                this.virtualDown.has(action) ||
+                this._stickHolds(action);
+
+            const s = this.state[action];
+            s.pressed = tapped || (held && !s.held);
+            s.released = !held && s.held;
+            s.held = held;
+        }
+        this._tapped.clear();
+        this._virtualTapped.clear();
+        this._carried.clear();
+    };
+
+    // The world skipped this tick (GameEngine.updateEntities during hit-stop): no entity saw its pressed
+    // edges, so they carry over to the next tick instead of being lost
+    carryPressed() {
+        for (const [action, s] of Object.entries(this.state)) {
+            if (s.pressed) this._carried.add(action);
+        }
+    };
+
+    isHeld(action) {
+        return !!this.state[action]?.held;
+    };
+
+    wasPressed(action) {
+        return !!this.state[action]?.pressed;
+    };
+
+    wasReleased(action) {
+        return !!this.state[action]?.released;
+    };
+
+    // ----- Replay frames -----
+    // [heldMask, pressedMask, stickX, stickY]; bit i is the i-th action of DEFAULT_BINDINGS.
+    // Released edges aren't stored: applyFrame derives them from the previous frame's held bits.
+
+    captureFrame() {
+        let held = 0;
+        let pressed = 0;
+        Object.keys(InputManager.DEFAULT_BINDINGS).forEach((action, i) => {
+            if (this.state[action].held) held |= 1 << i;
+            if (this.state[action].pressed) pressed |= 1 << i;
+        });
+        return [held, pressed, this.stick.x, this.stick.y];
+    };
+
+    // Replaces this tick's action state with a recorded frame (instead of reading devices in update())
+    applyFrame([held, pressed, stickX, stickY]) {
+        Object.keys(InputManager.DEFAULT_BINDINGS).forEach((action, i) => {
+            const s = this.state[action];
+            const isHeld = (held & (1 << i)) !== 0;
+            s.pressed = (pressed & (1 << i)) !== 0;
+            s.released = !isHeld && s.held;
+            s.held = isHeld;
+        });
+        this.stick.x = stickX;
+        this.stick.y = stickY;
+
+        // Live keys pressed while watching must not leak into the next live tick
+        // (carried edges are already in the recorded frames)
+        this._tapped.clear();
+        this._virtualTapped.clear();
+        this._carried.clear();
+    };
+
+    // Movement direction for this tick, length 0..1.
+    // The analog stick keeps its magnitude; keys / D-pad give a full-speed unit vector.
+    getMoveVector() {
+        if (this.stick.x !== 0 || this.stick.y !== 0) {
+            return { x: this.stick.x, y: this.stick.y };
+        }
+
+        let x = 0;
+        let y = 0;
+        if (this.isHeld("move_up")) y -= 1;
+        if (this.isHeld("move_down")) y += 1;
+        if (this.isHeld("move_left")) x -= 1;
+        if (this.isHeld("move_right")) x += 1;
+
+        if (x !== 0 && y !== 0) {
+            const inv = 1 / Math.sqrt(2);
+            x *= inv;
+            y *= inv;
+        }
+        return { x, y };
+    };
+
+    // Next keydown is handed to fn instead of the action state (binding screen)
+    captureNextKey(fn) {
+        this._captureFn = fn;
+    };
+
+    cancelCapture() {
+        this._captureFn = null;
+    };
+
+    // ----- Bindings -----
+
+    loadBindings() {
+        const bindings = {};
+        for (const [action, keys] of Object.entries(InputManager.DEFAULT_BINDINGS)) {
+            bindings[action] = [...keys];
+        }
+
+        // Headless runs (tools/headless.js) have no storage: defaults only
+        if (typeof localStorage === "undefined") return bindings;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(InputManager.STORAGE_KEY) || "null");
+            if (saved && typeof saved === "object") {
+                for (const action of Object.keys(bindings)) {
+                    if (Array.isArray(saved[action])) bindings[action] = saved[action].map(InputManager.normalizeKey);
+                }
+            }
+        } catch (err) {
+            console.warn("Ignoring unreadable input bindings", err);
+        }
+
+        return bindings;
+    };
+
+    saveBindings() {
+        if (typeof localStorage === "undefined") return;
+
+        // Full quota / private mode: the new keys still apply for this session
+        try {
+            localStorage.setItem(InputManager.STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (err) {
+            console.warn("Could not save key bindings", err);
+        }
+    };
+
+    // Replaces the key in one slot of an action (slot 0 = primary, 1 = alternate).
+    // A key can only drive one action, so it is taken from any other action first. When it is that
+    // action's last key the two swap (it gets the key this slot held), so no action loses its keyboard
+    // binding; with nothing to swap (empty slot) the rebind is refused and false is returned.
+    rebind(action, slot, key) {
+        const keys = this.bindings[action];
+        if (!keys) return false;
+
+        const previous = keys[slot];
+        const owner = Object.keys(this.bindings).find(a => a !== action && this.bindings[a].includes(key));
+        if (owner && this.bindings[owner].length === 1 && previous === undefined) return false;
+
+        if (owner) {
+            const ownerKeys = this.bindings[owner];
+            const i = ownerKeys.indexOf(key);
+            if (ownerKeys.length === 1) ownerKeys[i] = previous;
+            else ownerKeys.splice(i, 1);
+        }
+
+        const own = keys.indexOf(key);
+        if (own !== -1 && own !== slot) keys.splice(own, 1);
+
+        if (slot < keys.length) keys[slot] = key;
+        else keys.push(key);
+
+        this.saveBindings();
+        return true;
+    };
+
+    resetBindings() {
+        if (typeof localStorage !== "undefined") localStorage.removeItem(InputManager.STORAGE_KEY);
+        this.bindings = this.loadBindings();
+    };
+
+    // Label of the primary key for an action (used in on-screen hints)
+    primaryKeyLabel(action) {
+        const key = (this.bindings[action] || [])[0];
+        return key ? InputManager.keyLabel(key) : "—";
+    };
+};
@@ -0,0 +1,179 @@
+// Performance profiler overlay, owned by GameEngine (main.js toggles it with F3). Costs nothing while off.
+// - FPS and a frame-time graph: real time between frames, and the part of it spent in GameEngine.loop
+// - Update / draw time per entity tag, measured around each entity in updateEntities / drawEntities
+// - Entity count by tag, and named per-frame counters (TileMap.isBlockedAtWorld calls)
+// Times and counters are smoothed over recent frames so the numbers can be read while they change.
+
+class Profiler {
+    // Frames kept for the graph and the FPS average
+    static HISTORY = 120;
+
+    // Weight of the newest frame in the smoothed numbers
+    static SMOOTHING = 0.1;
+
+    // Rows shown in the per-tag table (slowest first)
+    static MAX_ROWS = 12;
+
+    constructor() {
+        this.enabled = false;
+        this.reset();
+    };
+
+    reset() {
+        this.frameTimes = new Float32Array(Profiler.HISTORY);
+        this.workTimes = new Float32Array(Profiler.HISTORY);
+        this.head = 0;
+        this.filled = 0;
+        this.lastFrameStart = 0;
+        this.frameStart = 0;
+
+        // This frame's raw numbers, folded into the smoothed ones in endFrame()
+        this.current = { update: new Map(), draw: new Map(), counters: new Map() };
+        this.smoothed = { update: new Map(), draw: new Map(), counters: new Map() };
+    };
+
+    toggle() {
+        this.enabled = !this.enabled;
+        this.reset();
+    };
+
+    now() {
+        return typeof performance !== "undefined" ? performance.now() : Date.now();
+    };
+
+    // Label an entity is grouped under: its tag, else its class name
+    static tagOf(entity) {
+        if (entity.tag) return entity.tag;
+        const name = entity.constructor ? entity.constructor.name : "";
+        return name && name !== "Object" ? name : "untagged";
+    };
+
+    beginFrame() {
+        if (!this.enabled) return;
+        this.frameStart = this.now();
+    };
+
+    endFrame() {
+        if (!this.enabled) return;
+
+        const end = this.now();
+        const frameTime = this.lastFrameStart ? this.frameStart - this.lastFrameStart : 0;
+        this.lastFrameStart = this.frameStart;
+
+        this.frameTimes[this.head] = frameTime;
+        this.workTimes[this.head] = end - this.frameStart;
+        this.head = (this.head + 1) % Profiler.HISTORY;
+        this.filled = Math.min(this.filled + 1, Profiler.HISTORY);
+
+        for (const kind of ["update", "draw", "counters"]) {
+            const current = this.current[kind];
+            const smoothed = this.smoothed[kind];
+
+            for (const key of new Set([...smoothed.keys(), ...current.keys()])) {
+                const prev = smoothed.get(key) ?? current.get(key);
+                smoothed.set(key, prev + ((current.get(key) || 0) - prev) * Profiler.SMOOTHING);
+            }
+            current.clear();
+        }
+    };
+
+    // Adds ms of update / draw time to a tag for this frame
+    time(kind, tag, ms) {
+        const map = this.current[kind];
+        map.set(tag, (map.get(tag) || 0) + ms);
+    };
+
+    count(name, amount = 1) {
+        if (!this.enabled) return;
+        const counters = this.current.counters;
+        counters.set(name, (counters.get(name) || 0) + amount);
+    };
+
+    get fps() {
+        let total = 0;
+        for (let i = 0; i < this.filled; i++) total += this.frameTimes[i];
+        return total > 0 ? (this.filled * 1000) / total : 0;
+    };
+
+    // Panel in the top-right corner, drawn over every scene (viewW = view width, see viewport.js)
+    draw(ctx, entities, viewW) {
+        const counts = new Map();
+        for (const entity of entities) {
+            const tag = Profiler.tagOf(entity);
+            counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+
+        const tags = [...new Set([...counts.keys(), ...this.smoothed.update.keys(), ...this.smoothed.draw.keys()])];
+        const total = tag => (this.smoothed.update.get(tag) || 0) + (this.smoothed.draw.get(tag) || 0);
+        tags.sort((a, b) => total(b) - total(a));
+        const rows = tags.slice(0, Profiler.MAX_ROWS);
+
+        const lineH = 14;
+        const graphH = 40;
+        const width = 300;
+        const height = 12 + lineH * 2 + graphH + 8 + lineH * (rows.length + 1) + lineH * this.smoothed.counters.size + 8;
+        const left = viewW - width - 8;
+        const top = 8;
+
+        ctx.save();
+        ctx.fillStyle = "rgba(0, 0, 0, 0.75)";
+        ctx.fillRect(left, top, width, height);
+        ctx.font = "11px monospace";
+        ctx.textBaseline = "top";
+
+        const last = (this.head + Profiler.HISTORY - 1) % Profiler.HISTORY;
+        let y = top + 6;
+        ctx.fillStyle = "#fff";
+        ctx.fillText(`FPS ${this.fps.toFixed(1)}   frame ${this.frameTimes[last].toFixed(1)} ms   work ${this.workTimes[last].toFixed(2)} ms`, left + 6, y);
+        y += lineH;
+        ctx.fillText(`Entities ${entities.length}`, left + 6, y);
+        y += lineH + 2;
+
+        this.drawGraph(ctx, left + 6, y, width - 12, graphH);
+        y += graphH + 6;
+
+        ctx.fillStyle = "#aaa";
+        ctx.fillText("tag                 count  upd ms  draw ms", left + 6, y);
+        y += lineH;
+        for (const tag of rows) {
+            const name = tag.length > 18 ? tag.slice(0, 17) + "~" : tag.padEnd(18);
+            const count = String(counts.get(tag) || 0).padStart(6);
+            const upd = (this.smoothed.update.get(tag) || 0).toFixed(3).padStart(8);
+            const drw = (this.smoothed.draw.get(tag) || 0).toFixed(3).padStart(9);
+            ctx.fillStyle = "#fff";
+            ctx.fillText(`${name}${count}${upd}${drw}`, left + 6, y);
+            y += lineH;
+        }
+
+        ctx.fillStyle = "#ffd27a";
+        for (const [name, value] of this.smoothed.counters) {
+            ctx.fillText(`${name}: ${Math.round(value)} / frame`, left + 6, y);
+            y += lineH;
+        }
+        ctx.restore();
+    };
+
+    // Bars = time between frames, filled part = time spent in the loop; the line marks 60 FPS
+    drawGraph(ctx, x, y, w, h) {
+        const scaleMs = 50;
+        const barW = w / Profiler.HISTORY;
+
+        ctx.fillStyle = "rgba(255, 255, 255, 0.08)";
+        ctx.fillRect(x, y, w, h);
+
+        for (let i = 0; i < Profiler.HISTORY; i++) {
+            const index = (this.head + i) % Profiler.HISTORY;
+            const frameH = Math.min(h, (this.frameTimes[index] / scaleMs) * h);
+            const workH = Math.min(h, (this.workTimes[index] / scaleMs) * h);
+
+            ctx.fillStyle = this.frameTimes[index] > 1000 / 50 ? "#e06c5a" : "#5aa0e0";
+            ctx.fillRect(x + i * barW, y + h - frameH, Math.max(1, barW - 0.5), frameH);
+            ctx.fillStyle = "#f0d060";
+            ctx.fillRect(x + i * barW, y + h - workH, Math.max(1, barW - 0.5), workH);
+        }
+
+        const targetY = y + h - ((1000 / 60) / scaleMs) * h;
+        ctx.fillStyle = "#7fdc7f";
+        ctx.fillRect(x, targetY, w, 1);
+    };
+};
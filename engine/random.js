@@ -0,0 +1,74 @@
+// SeededRandom: small deterministic PRNG (mulberry32), owned by GameEngine as gameEngine.rng.
+// - Spawns, loot rolls and AI randomness go through it instead of Math.random, so a seed replays a run
+// - reset(salt) restarts the sequence from the seed (main.js reseeds per level with the level index)
+// - getState / setState snapshot the exact position in the sequence (replays, saves)
+
+class SeededRandom {
+    // Engine whose rng util.js randomInt uses (set by GameEngine; there is one engine per page)
+    static shared = null;
+
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.setSeed(seed);
+    };
+
+    // Fresh 32-bit seed for runs that didn't ask for one
+    static randomSeed() {
+        return (Math.random() * 0x100000000) >>> 0;
+    };
+
+    // Accepts numbers or text (URL ?seed=...); text that isn't a number is hashed (FNV-1a)
+    static parseSeed(value) {
+        if (value === null || value === undefined || value === "") return null;
+
+        const n = Number(value);
+        if (Number.isFinite(n)) return n >>> 0;
+
+        let h = 0x811c9dc5;
+        for (const ch of String(value)) {
+            h ^= ch.charCodeAt(0);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    };
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.reset();
+    };
+
+    // Restarts the sequence; different salts give independent sequences from the same seed
+    reset(salt = 0) {
+        this.state = (this.seed ^ Math.imul(salt + 1, 0x9e3779b9)) >>> 0;
+    };
+
+    getState() {
+        return this.state;
+    };
+
+    setState(state) {
+        this.state = state >>> 0;
+    };
+
+    // Float in [0, 1), drop-in for Math.random()
+    next() {
+        let t = (this.state = (this.state + 0x6d2b79f5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    };
+
+    // Integer in [0, n)
+    int(n) {
+        return Math.floor(this.next() * n);
+    };
+
+    // True with probability p
+    chance(p) {
+        return this.next() < p;
+    };
+};
@@ -0,0 +1,272 @@
+// Replays: deterministic recording + playback of a run, owned by GameEngine (gameengine.js).
+// - ReplayRecorder stores, per simulation tick, the resolved input frame (input.js captureFrame),
+//   plus UI commands issued between ticks (GameEngine.command) and periodic sync checks
+// - The run is reproducible because everything else is fixed: the seed + rng state (random.js),
+//   the fixed tick length (timer.js), world timers in game time (GameEngine.after) and no ticks
+//   while a level is loading (GameEngine.loop)
+// - ReplayPlayer feeds the frames back through the normal update path (Player.update reads them
+//   from game.input) and adds pause / single step / fast-forward / free camera on top
+// - The file is plain JSON; input frames are run-length encoded as [count, held, pressed, stickX, stickY]
+
+class ReplayRecorder {
+    static FORMAT = "lost-barbarian-replay";
+    static VERSION = 1;
+
+    // Ticks between sync checks (rng state + player position) used to detect a desynced playback
+    static CHECK_EVERY = 60;
+
+    constructor(game) {
+        this.game = game;
+        this.data = null;
+    };
+
+    get recording() {
+        return this.data !== null;
+    };
+
+    // start = whatever playback needs to rebuild the first tick ({ levelIndex, rngState, ... })
+    start(start) {
+        this.data = {
+            format: ReplayRecorder.FORMAT,
+            version: ReplayRecorder.VERSION,
+            recordedAt: new Date().toISOString(),
+            seed: this.game.rng.seed,
+            tickRate: Math.round(1 / this.game.timer.step),
+            start,
+            ticks: 0,
+            frames: [],
+            commands: [],
+            checks: []
+        };
+    };
+
+    stop() {
+        const data = this.data;
+        this.data = null;
+        return data;
+    };
+
+    // State compared between the recording and its playback
+    static syncPoint(game) {
+        return {
+            rng: game.rng.getState(),
+            x: game.player ? game.player.x : null,
+            y: game.player ? game.player.y : null
+        };
+    };
+
+    // Called once per tick, after input is resolved and before any scene updates
+    captureTick(frame) {
+        if (!this.data) return;
+
+        const frames = this.data.frames;
+        const last = frames[frames.length - 1];
+        if (last && last[1] === frame[0] && last[2] === frame[1] && last[3] === frame[2] && last[4] === frame[3]) {
+            last[0] += 1;
+        } else {
+            frames.push([1, ...frame]);
+        }
+    };
+
+    // Called once per tick, after every scene updated
+    endTick() {
+        if (!this.data) return;
+
+        this.data.ticks += 1;
+        if (this.data.ticks % ReplayRecorder.CHECK_EVERY === 0) {
+            this.data.checks.push({ tick: this.data.ticks, ...ReplayRecorder.syncPoint(this.game) });
+        }
+    };
+
+    // UI actions from outside the tick (mouse clicks on overlay buttons); replayed before the same tick
+    captureCommand(name, args) {
+        if (!this.data) return;
+        this.data.commands.push({ tick: this.data.ticks, name, args });
+    };
+
+    toJSON() {
+        return this.data;
+    };
+
+    // Saves the recording as a .json download (browser only)
+    download(filename = `replay-${this.game.rng.seed}.json`) {
+        if (!this.data || typeof document === "undefined") return;
+
+        const blob = new Blob([JSON.stringify(this.data)], { type: "application/json" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+};
+
+class ReplayPlayer {
+    static SPEEDS = [1, 2, 4, 8];
+
+    // Free camera pan speed (world px per second)
+    static PAN_SPEED = 600;
+
+    constructor(game, data) {
+        ReplayPlayer.validate(data);
+
+        this.game = game;
+        this.data = data;
+
+        // Ticks played so far (same numbering as ReplayRecorder: tick N is the N+1-th update)
+        this.tick = 0;
+
+        // Run-length cursor into data.frames
+        this.frameIndex = 0;
+        this.frameUsed = 0;
+        this.commandIndex = 0;
+
+        this.paused = false;
+        this.stepsQueued = 0;
+        this.speedIndex = 0;
+
+        // Free camera: world position of the view's top-left while detached from the player
+        this.freeCamera = false;
+        this.camX = 0;
+        this.camY = 0;
+
+        // First tick whose sync check didn't match the recording (null = still in sync)
+        this.desyncTick = null;
+        this.checkIndex = 0;
+
+        // True while the player itself issues a recorded command (live UI is ignored otherwise)
+        this.dispatching = false;
+    };
+
+    // Throws when data isn't a replay this build can play
+    static validate(data) {
+        if (!data || data.format !== ReplayRecorder.FORMAT) throw new Error("Not a replay file");
+        if (data.version !== ReplayRecorder.VERSION) throw new Error(`Unsupported replay version ${data.version}`);
+        if (!Array.isArray(data.frames) || typeof data.ticks !== "number") throw new Error("Replay file is damaged");
+    };
+
+    get speed() {
+        return ReplayPlayer.SPEEDS[this.speedIndex];
+    };
+
+    get finished() {
+        return this.tick >= this.data.ticks;
+    };
+
+    // How many ticks to run for one real fixed step (0 while paused, unless a single step is queued)
+    ticksForStep() {
+        if (this.finished) return 0;
+        if (!this.paused) return this.speed;
+        if (this.stepsQueued === 0) return 0;
+
+        this.stepsQueued -= 1;
+        return 1;
+    };
+
+    // Runs the commands recorded before the current tick (called before the first tick and after each tick,
+    // so a command that starts a level load stops the loop before the next tick runs)
+    dispatchCommands() {
+        const commands = this.data.commands || [];
+        while (this.commandIndex < commands.length && commands[this.commandIndex].tick <= this.tick) {
+            const { name, args } = commands[this.commandIndex++];
+            this.dispatching = true;
+            try {
+                this.game.command(name, args);
+            } finally {
+                this.dispatching = false;
+            }
+        }
+    };
+
+    // The recorded input frame for the current tick
+    nextFrame() {
+        const run = this.data.frames[this.frameIndex];
+        if (!run) return [0, 0, 0, 0];
+
+        this.frameUsed += 1;
+        if (this.frameUsed >= run[0]) {
+            this.frameIndex += 1;
+            this.frameUsed = 0;
+        }
+        return run.slice(1);
+    };
+
+    endTick() {
+        this.tick += 1;
+
+        const checks = this.data.checks || [];
+        while (this.checkIndex < checks.length && checks[this.checkIndex].tick <= this.tick) {
+            const check = checks[this.checkIndex++];
+            if (check.tick !== this.tick || this.desyncTick !== null) continue;
+
+            const now = ReplayRecorder.syncPoint(this.game);
+            if (now.rng !== check.rng || now.x !== check.x || now.y !== check.y) {
+                this.desyncTick = this.tick;
+                console.warn("Replay desynced at tick", this.tick, { recorded: check, playback: now });
+            }
+        }
+
+        this.dispatchCommands();
+    };
+
+    // ----- Viewer controls (game/replay_bar.js) -----
+
+    togglePause() {
+        this.paused = !this.paused;
+        this.stepsQueued = 0;
+    };
+
+    // Advances exactly one tick (pauses first)
+    step() {
+        this.paused = true;
+        this.stepsQueued += 1;
+    };
+
+    cycleSpeed() {
+        this.speedIndex = (this.speedIndex + 1) % ReplayPlayer.SPEEDS.length;
+    };
+
+    setFreeCamera(on) {
+        const camera = this.game.camera;
+        if (on && !this.freeCamera && camera) {
+            this.camX = camera.x;
+            this.camY = camera.y;
+        }
+        this.freeCamera = on;
+    };
+
+    // Moves the free camera by a direction (-1..1 per axis) for dt seconds
+    panCamera(dirX, dirY, dt) {
+        if (dirX === 0 && dirY === 0) return;
+        if (!this.freeCamera) this.setFreeCamera(true);
+
+        this.camX += dirX * ReplayPlayer.PAN_SPEED * dt;
+        this.camY += dirY * ReplayPlayer.PAN_SPEED * dt;
+    };
+
+    // Overrides the player-follow camera after the ticks ran (view only; not part of the simulation)
+    applyCamera() {
+        const camera = this.game.camera;
+        if (!this.freeCamera || !camera) return;
+
+        this.camX = camera.clamp(this.camX, 0, Math.max(0, camera.worldW - camera.viewW));
+        this.camY = camera.clamp(this.camY, 0, Math.max(0, camera.worldH - camera.viewH));
+        camera.x = this.camX;
+        camera.y = this.camY;
+    };
+
+    status() {
+        return {
+            tick: this.tick,
+            total: this.data.ticks,
+            paused: this.paused,
+            speed: this.speed,
+            freeCamera: this.freeCamera,
+            finished: this.finished,
+            desyncTick: this.desyncTick
+        };
+    };
+};
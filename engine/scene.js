@@ -0,0 +1,29 @@
+// Scene: one entry on the GameEngine scene stack (gameengine.js).
+// - The bottom scene is "Gameplay" (updates + draws the entity list)
+// - Overlays (Pause, Shop, Dialogue, Story, GameOver, Win, Ending) are pushed on top of it
+// - updatesBelow / drawsBelow decide whether the scenes underneath keep running while this one is on top
+// - onEnter / onExit are where a scene shows and hides its DOM overlay (index.html)
+
+class Scene {
+    constructor(name, options = {}) {
+        this.name = name;
+
+        // Most overlays freeze the world but still let it render behind them
+        this.updatesBelow = options.updatesBelow ?? false;
+        this.drawsBelow = options.drawsBelow ?? true;
+
+        this.onEnter = options.onEnter || null;
+        this.onExit = options.onExit || null;
+
+        if (typeof options.update === "function") this.update = options.update;
+        if (typeof options.draw === "function") this.draw = options.draw;
+    };
+
+    // Called once per simulation tick while this scene is allowed to update
+    update(game) {
+    };
+
+    // Called once per frame while this scene is visible
+    draw(ctx, game) {
+    };
+};
@@ -0,0 +1,122 @@
+// SpatialHash: uniform-grid index of entity positions, owned by GameEngine (gameengine.js).
+// - Each entity with a numeric x / y lives in the one cell that holds its position
+// - GameEngine rebuilds it at the start of every tick and re-files each entity right after its update()
+// - queryRect / queryRadius only visit the cells the area touches, then test the exact position
+// - Optional tag filter is checked at query time (tags may change, e.g. the boss becomes "enemy")
+
+class SpatialHash {
+    constructor(cellSize = 64) {
+        this.cellSize = cellSize;
+
+        // "col,row" -> Set of entities in that cell
+        this.cells = new Map();
+
+        // entity -> its current cell key (so move / remove don't search)
+        this.keyOf = new Map();
+    };
+
+    static isIndexable(entity) {
+        return !!entity && typeof entity.x === "number" && typeof entity.y === "number";
+    };
+
+    _key(col, row) {
+        return col + "," + row;
+    };
+
+    _keyAt(x, y) {
+        return this._key(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+    };
+
+    clear() {
+        this.cells.clear();
+        this.keyOf.clear();
+    };
+
+    insert(entity) {
+        if (!SpatialHash.isIndexable(entity)) return;
+        if (this.keyOf.has(entity)) {
+            this.move(entity);
+            return;
+        }
+
+        const key = this._keyAt(entity.x, entity.y);
+        if (!this.cells.has(key)) this.cells.set(key, new Set());
+        this.cells.get(key).add(entity);
+        this.keyOf.set(entity, key);
+    };
+
+    remove(entity) {
+        const key = this.keyOf.get(entity);
+        if (key === undefined) return;
+
+        const cell = this.cells.get(key);
+        if (cell) {
+            cell.delete(entity);
+            if (cell.size === 0) this.cells.delete(key);
+        }
+        this.keyOf.delete(entity);
+    };
+
+    // Re-files an entity after it moved (cheap no-op when it stayed in the same cell)
+    move(entity) {
+        if (!this.keyOf.has(entity)) {
+            this.insert(entity);
+            return;
+        }
+        if (!SpatialHash.isIndexable(entity)) {
+            this.remove(entity);
+            return;
+        }
+        if (this.keyOf.get(entity) === this._keyAt(entity.x, entity.y)) return;
+
+        this.remove(entity);
+        this.insert(entity);
+    };
+
+    rebuild(entities) {
+        this.clear();
+        for (const entity of entities) {
+            this.insert(entity);
+        }
+    };
+
+    // Entities whose position is inside the rect (x, y = top-left)
+    queryRect(x, y, w, h, tag = null) {
+        return this._query(x, y, x + w, y + h, tag, (e) =>
+            e.x >= x && e.x <= x + w && e.y >= y && e.y <= y + h
+        );
+    };
+
+    // Entities whose position is within r of (x, y)
+    queryRadius(x, y, r, tag = null) {
+        const r2 = r * r;
+        return this._query(x - r, y - r, x + r, y + r, tag, (e) => {
+            const dx = e.x - x;
+            const dy = e.y - y;
+            return dx * dx + dy * dy <= r2;
+        });
+    };
+
+    _query(minX, minY, maxX, maxY, tag, test) {
+        const out = [];
+
+        const c0 = Math.floor(minX / this.cellSize);
+        const c1 = Math.floor(maxX / this.cellSize);
+        const r0 = Math.floor(minY / this.cellSize);
+        const r1 = Math.floor(maxY / this.cellSize);
+
+        for (let row = r0; row <= r1; row++) {
+            for (let col = c0; col <= c1; col++) {
+                const cell = this.cells.get(this._key(col, row));
+                if (!cell) continue;
+
+                for (const entity of cell) {
+                    if (entity.removeFromWorld) continue;
+                    if (tag !== null && entity.tag !== tag) continue;
+                    if (test(entity)) out.push(entity);
+                }
+            }
+        }
+        return out;
+    };
+};
@@ -1,19 +1,93 @@
 // This game shell was happily modified from Googler Seth Ladd's "Bad Aliens" game and his Google IO talk in 2011
 
 class Timer {
-    constructor() {
+    constructor(tickRate = 60) {
         this.gameTime = 0;
-        this.maxStep = 0.05;
+
+        // Fixed simulation step (seconds per tick)
+        this.step = 1 / tickRate;
+
+        // Longest real frame we will try to catch up on (prevents a spiral after tab switches)
+        this.maxFrameTime = 0.25;
+
+        // Real time waiting to be consumed by fixed ticks
+        this.accumulator = 0;
+
         this.lastTimestamp = 0;
+
+        // Game speed (1 = normal, set through setTimeScale). Scales the seconds a world tick simulates
+        // (GameEngine.clockTick), never the tick rate, so replays stay tick-exact
+        this.timeScale = 1;
+
+        // Temporary slow motion on top of timeScale: { scale, remaining } (remaining in unscaled seconds)
+        this.slowMo = null;
+
+        // Unscaled seconds of hit-stop left; the world doesn't move while this is above 0
+        this.hitStopRemaining = 0;
     };
 
+    // Measures real time since the last frame and banks it in the accumulator
     tick() {
         const current = Date.now();
-        const delta = (current - this.lastTimestamp) / 1000;
+        const delta = this.lastTimestamp ? (current - this.lastTimestamp) / 1000 : 0;
         this.lastTimestamp = current;
 
-        const gameDelta = Math.min(delta, this.maxStep);
-        this.gameTime += gameDelta;
-        return gameDelta;
+        const frameDelta = Math.min(delta, this.maxFrameTime);
+        this.accumulator += frameDelta;
+        return frameDelta;
+    };
+
+    // Returns true (and spends one step) while a full simulation tick is banked
+    consumeStep() {
+        if (this.accumulator < this.step) return false;
+
+        this.accumulator -= this.step;
+        this.gameTime += this.step;
+        return true;
+    };
+
+    // Freezes the world for `seconds` (the longest request wins when hits overlap)
+    hitStop(seconds) {
+        this.hitStopRemaining = Math.max(this.hitStopRemaining, seconds);
+    };
+
+    slowMotion(scale, seconds) {
+        this.slowMo = { scale, remaining: seconds };
+    };
+
+    // Global game speed (0 pauses the world, 0.5 half speed, 2 double)
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    };
+
+    // Drops any hit-stop / slow motion still running (timeScale stays)
+    clearEffects() {
+        this.hitStopRemaining = 0;
+        this.slowMo = null;
+    };
+
+    get scale() {
+        return this.timeScale * (this.slowMo ? this.slowMo.scale : 1);
+    };
+
+    // Called once per world tick: the scaled seconds to simulate, or 0 while hit-stop holds the world.
+    // Hit-stop and slow motion count down in unscaled time.
+    advanceWorld() {
+        if (this.hitStopRemaining > 0) {
+            this.hitStopRemaining = Math.max(0, this.hitStopRemaining - this.step);
+            return 0;
+        }
+
+        const delta = this.step * this.scale;
+        if (this.slowMo) {
+            this.slowMo.remaining -= this.step;
+            if (this.slowMo.remaining <= 0) this.slowMo = null;
+        }
+        return delta;
+    };
+
+    // How far (0..1) real time has moved past the last simulated tick
+    get alpha() {
+        return this.accumulator / this.step;
     };
-};
\ No newline at end of file
+};
@@ -3,9 +3,10 @@ const params = { };
 
 /**
  * @param {Number} n
+ * @param {SeededRandom} rng Generator to draw from (defaults to the engine's seeded rng)
  * @returns Random Integer Between 0 and n-1
  */
-const randomInt = n => Math.floor(Math.random() * n);
+const randomInt = (n, rng = SeededRandom.shared) => Math.floor((rng ? rng.next() : Math.random()) * n);
 
 /**
  * @param {Number} r Red Value
@@ -32,6 +33,13 @@ const rgba = (r, g, b, a) => `rgba(${r}, ${g}, ${b}, ${a})`;
  */
 const hsl = (h, s, l) => `hsl(${h}, ${s}%, ${l}%)`;
 
+/**
+ * DOM lookup that is safe in headless mode (no document in Node)
+ * @param {String} id Element id
+ * @returns The element, or null when there is no DOM or no such element
+ */
+const getElementById = id => (typeof document === "undefined" ? null : document.getElementById(id));
+
 /** Creates an alias for requestAnimationFrame for backwards compatibility */
 window.requestAnimFrame = (() => {
     return window.requestAnimationFrame ||
@@ -0,0 +1,93 @@
+// Canvas sizing, owned by GameEngine (browser only; headless runs have no viewport).
+// - The canvas fills its container at a fixed aspect ratio (letterboxed), and follows window resizes
+// - The backing store is sized in device pixels (devicePixelRatio), so HiDPI screens stay crisp
+// - Game code draws in view pixels: always DESIGN_HEIGHT tall (DESIGN_WIDTH wide at 16:9), so every
+//   window shows the same slice of the world. One view pixel is `zoom` CSS pixels: the view scaled to
+//   fit, rounded down to a whole step from 2x up so large screens keep pixel art crisp
+// - The canvas's parent (#gameStage) is sized to the canvas too, so DOM overlays inside it (HUD, menus,
+//   heart pickups) are laid out over the view, not the letterbox bars; toCss() maps view pixels onto it
+// - toView() maps mouse / pointer client coordinates to view pixels
+
+class Viewport {
+    // Width / height of the visible area
+    static ASPECT = 16 / 9;
+
+    // View size the game was laid out for (index.html's original canvas); also the headless view
+    static DESIGN_WIDTH = 1280;
+    static DESIGN_HEIGHT = 720;
+
+    constructor(ctx, onResize = null) {
+        this.ctx = ctx;
+        this.canvas = ctx.canvas;
+        this.stage = this.canvas.parentElement || document.body;
+        this.container = this.stage.parentElement || this.stage;
+        this.onResize = onResize;
+
+        this.aspect = Viewport.ASPECT;
+        this.viewW = Viewport.DESIGN_WIDTH;
+        this.viewH = Viewport.DESIGN_HEIGHT;
+        this.zoom = 1;
+        this.pixelRatio = 1;
+
+        window.addEventListener("resize", () => this.resize());
+        this.resize();
+    };
+
+    setAspect(aspect) {
+        this.aspect = aspect;
+        this.resize();
+    };
+
+    resize() {
+        const availW = this.container.clientWidth || window.innerWidth;
+        const availH = this.container.clientHeight || window.innerHeight;
+
+        this.viewH = Viewport.DESIGN_HEIGHT;
+        this.viewW = Math.round(Viewport.DESIGN_HEIGHT * this.aspect);
+
+        // Largest scale at which the view fits the container; whole steps only from 2x up
+        let zoom = Math.min(availW / this.viewW, availH / this.viewH);
+        if (zoom >= 2) zoom = Math.floor(zoom);
+        this.zoom = zoom;
+
+        const cssW = Math.max(1, Math.round(this.viewW * zoom));
+        const cssH = Math.max(1, Math.round(this.viewH * zoom));
+        const dpr = window.devicePixelRatio || 1;
+
+        this.canvas.style.width = `${cssW}px`;
+        this.canvas.style.height = `${cssH}px`;
+        this.canvas.width = Math.round(cssW * dpr);
+        this.canvas.height = Math.round(cssH * dpr);
+        this.stage.style.width = `${cssW}px`;
+        this.stage.style.height = `${cssH}px`;
+
+        // Resizing the canvas resets its context state
+        this.pixelRatio = this.canvas.width / this.viewW;
+        this.applyTransform();
+        this.ctx.imageSmoothingEnabled = false;
+
+        if (this.onResize) this.onResize(this.viewW, this.viewH);
+    };
+
+    // View pixels -> device pixels
+    applyTransform() {
+        this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    };
+
+    // View pixels -> CSS pixels from the stage's (and canvas's) top-left corner
+    toCss(viewX, viewY) {
+        return { x: viewX * this.zoom, y: viewY * this.zoom };
+    };
+
+    // Client (mouse event) coordinates -> view pixels (the canvas border is not part of the view)
+    toView(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const width = this.canvas.clientWidth || rect.width;
+        const height = this.canvas.clientHeight || rect.height;
+
+        return {
+            x: (clientX - rect.left - this.canvas.clientLeft) * (this.viewW / width),
+            y: (clientY - rect.top - this.canvas.clientTop) * (this.viewH / height)
+        };
+    };
+};
@@ -0,0 +1,63 @@
+// game/asset_manifest.js
+// AssetManifest: builds AssetManager download lists from the game's own definitions
+// - core(): Player.ANIM + EnemyCreator.TYPES + shared pickup / NPC / UI images + sounds + the level TMJ files
+// - forLevel(map): every tile image a TMJ map references (TileMap.assetKeysForMap), plus BossEnemy.ANIM on the boss level
+// - main.js downloads core() at boot, then the level's .tsx / .tsj files (TileMap.tilesetSources) and forLevel()
+//   at the start of buildLevel, so a level's tiles load on demand
+// Adding an enemy type / animation / map tile needs no queueDownload line; only assets no table points at go in SHARED.
+
+class AssetManifest {
+  // Paths that live outside the definition tables (entity defaults, DOM images, sounds)
+  static SHARED = [
+    // Pickups + NPC (key.js, scroll.js, resource_pickup.js, npc.js, projectile.js defaults)
+    "assets/images/keys_sprites/gold_key.png",
+    "assets/images/scrolls/scrolls.png",
+    "assets/images/resources_sprite/coin_sprite.png",
+    "assets/images/resources_sprite/heart.png",
+    "assets/images/npc_sprite/Idle.png",
+    "assets/images/enemy3_sprite/projectile.png",
+
+    // HUD (index.html)
+    "assets/images/ui_overlay/heart.png",
+
+    // Sounds (main.js, player.js)
+    "assets/sounds/background_music.mp3",
+    "assets/sounds/boss_laugh.mp3",
+    "assets/sounds/end_sound.mp3",
+    "assets/sounds/coin_pickup.mp3",
+    "assets/sounds/sword_slash.mp3"
+  ];
+
+  static IMAGE_PATTERN = /\.(png|jpe?g|gif|webp)$/i;
+
+  // Every image path anywhere inside a definition table (anim configs, stats.projectileImg, ...)
+  static collectImagePaths(def, out = new Set()) {
+    if (typeof def === "string") {
+      if (AssetManifest.IMAGE_PATTERN.test(def)) out.add(def);
+      return out;
+    }
+    if (!def || typeof def !== "object") return out;
+
+    for (const value of Object.values(def)) {
+      AssetManifest.collectImagePaths(value, out);
+    }
+    return out;
+  }
+
+  // Downloaded once at boot (levelPaths are the TMJ files forLevel reads from the cache)
+  static core(levelPaths = []) {
+    const paths = new Set(AssetManifest.SHARED);
+    AssetManifest.collectImagePaths(Player.ANIM, paths);
+    AssetManifest.collectImagePaths(EnemyCreator.TYPES, paths);
+    for (const levelPath of levelPaths) paths.add(levelPath);
+    return [...paths];
+  }
+
+  // Downloaded before a level builds (already-loaded paths are skipped by AssetManager.loadAssets).
+  // mapPath + assetManager let external tilesets (already downloaded) contribute their images.
+  static forLevel(map, { boss = false, mapPath = "", assetManager = null } = {}) {
+    const paths = new Set(TileMap.assetKeysForMap(map, mapPath, assetManager));
+    if (boss) AssetManifest.collectImagePaths(BossEnemy.ANIM, paths);
+    return [...paths];
+  }
+}
@@ -3,6 +3,18 @@
 // Phase A: BossEnemy foundation (idle/active, hit counter, simple retreat).
 
 class BossEnemy {
+  // Anim config (frame counts provided; static so AssetManifest can list the sheets)
+  static ANIM = {
+    idle:   { path: "assets/images/boss_sprite/Idle.png",   frames: 9,  fw: 128, fh: 128, ft: 0.12 },
+    walk:   { path: "assets/images/boss_sprite/Walk.png",   frames: 12, fw: 128, fh: 128, ft: 0.10 },
+    attack: { path: "assets/images/boss_sprite/Attack.png", frames: 5,  fw: 128, fh: 128, ft: 0.12 },
+    hurt:   { path: "assets/images/boss_sprite/Hurt.png",   frames: 3,  fw: 128, fh: 128, ft: 0.12 },
+    dead:   { path: "assets/images/boss_sprite/Dead.png",   frames: 3,  fw: 128, fh: 128, ft: 0.18 }
+  };
+
+  // Time scale while the final death animation plays (GameEngine.slowMotion)
+  static DEATH_SLOW_MO = 0.35;
+
   constructor(game, assetManager, tileMap, camera, player, x, y, options = {}) {
     this.game = game;
     this.AM = assetManager;
@@ -17,7 +29,7 @@ class BossEnemy {
 
     // Phase A tuning (slow and intimidating)
     this.DRAW_SIZE = options.drawSize ?? 150;
-    this.SPEED = options.speed ?? 1.35;
+    this.SPEED = options.speed ?? 81; // px per second
     this.attackRange = options.attackRange ?? 70;
     this.stopDist = options.stopDist ?? 56;
     this.attackCooldownDefault = options.attackCooldown ?? 1.3;
@@ -51,14 +63,8 @@ class BossEnemy {
     this.onRetreat = options.onRetreat || null;
     this.onFinalDefeat = options.onFinalDefeat || null;
 
-    // Anim config (frame counts provided)
-    this.ANIM = {
-      idle:   { path: "assets/images/boss_sprite/Idle.png",   frames: 9,  fw: 128, fh: 128, ft: 0.12 },
-      walk:   { path: "assets/images/boss_sprite/Walk.png",   frames: 12, fw: 128, fh: 128, ft: 0.10 },
-      attack: { path: "assets/images/boss_sprite/Attack.png", frames: 5,  fw: 128, fh: 128, ft: 0.12 },
-      hurt:   { path: "assets/images/boss_sprite/Hurt.png",   frames: 3,  fw: 128, fh: 128, ft: 0.12 },
-      dead:   { path: "assets/images/boss_sprite/Dead.png",   frames: 3,  fw: 128, fh: 128, ft: 0.18 }
-    };
+    // Anim config (shared table above)
+    this.ANIM = BossEnemy.ANIM;
   }
 
   // Phase A: activate boss for testing
@@ -91,6 +97,29 @@ class BossEnemy {
     this.attackCooldown = 0;
   }
 
+  // Save / continue (save_game.js); BossEncounter re-activates the boss for its round first
+  toSave() {
+    return {
+      x: this.x,
+      y: this.y,
+      active: this.active,
+      retreating: this.retreating,
+      roundHitsTaken: this.roundHitsTaken,
+      dead: this.dead,
+      facingLeft: this.facingLeft
+    };
+  }
+
+  loadSave(s) {
+    this.x = s.x;
+    this.y = s.y;
+    this.facingLeft = s.facingLeft === true;
+    this.roundHitsTaken = s.roundHitsTaken || 0;
+
+    if (s.dead) this.dieFinal();
+    else if (s.retreating) this.startRetreat();
+  }
+
   // Small AABB so player can hit it (player.js checks ent.tag === "enemy")
   getCollisionAABBAt(x, y) {
     const w = 46;
@@ -105,6 +134,8 @@ class BossEnemy {
     if (this.invulnerable) return;
 
     this.roundHitsTaken += 1;
+    this.game.emit("enemy:damaged", { enemy: this, amount: 1, boss: true, roundHitsTaken: this.roundHitsTaken });
+
     this.state = "hurt";
     this.animElapsed = 0;
     this.hurtLocked = true;
@@ -122,26 +153,29 @@ class BossEnemy {
     }
   }
 
-  // Final death (Round 3)
+  // Final death (Round 3), played in slow motion
   dieFinal() {
     this.dead = true;
     this.active = false;
     this.tag = "boss";
     this.state = "dead";
     this.animElapsed = 0;
+
+    const cfg = this.ANIM.dead;
+    this.game.slowMotion(BossEnemy.DEATH_SLOW_MO, (cfg.frames * cfg.ft) / BossEnemy.DEATH_SLOW_MO);
   }
 
   update() {
     const dt = this.game.clockTick || 1 / 60;
 
     if (!this.visible) return;
-    if (this.game.gameOver || this.game.win) return;
 
     if (this.dead) {
       const cfg = this.ANIM.dead;
       this.animElapsed += dt;
       if (this.animElapsed >= cfg.frames * cfg.ft) {
         this.removeFromWorld = true;
+        this.game.emit("enemy:died", { enemy: this, boss: true });
         if (this.onFinalDefeat) this.onFinalDefeat();
       }
       return;
@@ -187,8 +221,8 @@ class BossEnemy {
 
       const nx = dx / (dist || 1);
       const ny = dy / (dist || 1);
-      this.x += nx * this.SPEED;
-      this.y += ny * this.SPEED;
+      this.x += nx * this.SPEED * dt;
+      this.y += ny * this.SPEED * dt;
       this.state = "walk";
       this.animElapsed += dt;
       return;
@@ -229,8 +263,8 @@ class BossEnemy {
     if (dist > this.stopDist) {
       const nx = dx / (dist || 1);
       const ny = dy / (dist || 1);
-      this.x += nx * this.SPEED;
-      this.y += ny * this.SPEED;
+      this.x += nx * this.SPEED * dt;
+      this.y += ny * this.SPEED * dt;
       this.state = "walk";
     } else {
       this.state = "idle";
@@ -260,8 +294,9 @@ class BossEnemy {
     const sx = frameIndex * cfg.fw;
     const sy = 0;
 
-    const screenX = this.x - this.camera.renderX;
-    const screenY = this.y - this.camera.renderY;
+    const pos = this.game.renderPosition(this);
+    const screenX = pos.x - this.camera.renderX;
+    const screenY = pos.y - this.camera.renderY;
     const drawX = screenX - this.DRAW_SIZE / 2;
     const drawY = screenY - this.DRAW_SIZE / 2;
 
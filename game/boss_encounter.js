@@ -42,8 +42,8 @@ class BossEncounter {
   _spawnNear(point, radiusPx = 32) {
     if (!point) return { x: this.player.x, y: this.player.y };
     for (let i = 0; i < 20; i++) {
-      const ang = Math.random() * Math.PI * 2;
-      const r = Math.random() * radiusPx;
+      const ang = this.game.rng.next() * Math.PI * 2;
+      const r = this.game.rng.next() * radiusPx;
       const x = point.x + Math.cos(ang) * r;
       const y = point.y + Math.sin(ang) * r;
       if (x < 0 || y < 0 || x >= this.map.WORLD_W || y >= this.map.WORLD_H) continue;
@@ -65,14 +65,6 @@ class BossEncounter {
       this.game.addEntity(e);
     }
 
-    // Keep tilemap draw at the back so newly added enemies render on top.
-    const ents = this.game.entities || [];
-    const tIdx = ents.findIndex((ent) => ent && ent.tag === "tilemap_draw");
-    if (tIdx >= 0) {
-      const [tileEnt] = ents.splice(tIdx, 1);
-      ents.push(tileEnt);
-    }
-
     return list;
   }
 
@@ -80,11 +72,47 @@ class BossEncounter {
     return this.activeWaveEnemies.every((e) => !e || e.removeFromWorld || e.dead);
   }
 
+  // -------- Save / continue (save_game.js) --------
+  toSave() {
+    return {
+      started: this.started,
+      finished: this.finished,
+      currentRound: this.currentRound,
+      waveIndex: this.waveIndex,
+      roundPauseTimer: this._roundPauseTimer,
+      boss: this.boss ? this.boss.toSave() : null
+    };
+  }
+
+  // waveEnemies = the saved wave's survivors, already re-created and added by SaveGame.apply
+  loadSave(state, waveEnemies = []) {
+    this.started = state.started === true;
+    this.finished = state.finished === true;
+    this.currentRound = state.currentRound || 1;
+    this.waveIndex = state.waveIndex || 0;
+    this._roundPauseTimer = state.roundPauseTimer || 0;
+    this.activeWaveEnemies = waveEnemies;
+
+    if (!this.started || this.finished) return;
+
+    this.game.currentBossRound = this.currentRound;
+    this.game.finalBossRoundActive = this.currentRound === 3;
+
+    const boss = state.boss;
+    if (this.boss && boss && (boss.active || boss.dead)) {
+      this.activateBossForRound(this.currentRound);
+      this.boss.loadSave(boss);
+      return;
+    }
+
+    // Saved between a cleared wave and the next one: spawn it now
+    if (this._roundPauseTimer <= 0 && waveEnemies.length === 0) this.spawnWave(this.waveIndex);
+  }
+
   // -------- Phase B/Phase C: Round 1 + Round 2 --------
   startEncounter() {
     if (this.started || this.finished) return;
     this.started = true;
-    this.game.inBossEncounter = true;
     this.startRound1();
   }
 
@@ -96,6 +124,7 @@ class BossEncounter {
     this.waveIndex = 0;
     this.activeWaveEnemies = [];
     this._setHint("Round 1");
+    this.game.emit("boss:roundStarted", { round: 1 });
     this.spawnWave(this.waveIndex);
   }
 
@@ -107,6 +136,7 @@ class BossEncounter {
     this.waveIndex = 0;
     this.activeWaveEnemies = [];
     this._setHint("Round 2");
+    this.game.emit("boss:roundStarted", { round: 2 });
     this.spawnWave(this.waveIndex);
   }
 
@@ -204,24 +234,24 @@ class BossEncounter {
     this.waveIndex = 0;
     this.activeWaveEnemies = [];
     this._setHint("Final Round");
+    this.game.emit("boss:roundStarted", { round: 3 });
     this.spawnWave(this.waveIndex);
   }
 
   onBossFinalDefeat() {
     if (this.finished) return;
     this.finished = true;
-    this.game.inBossEncounter = false;
     this.game.finalBossRoundActive = false;
     this._setHint("The arena falls silent. Victory is yours.");
 
-    // Let death animation settle, then trigger win
-    setTimeout(() => {
+    // Let death animation settle, then trigger win (world time, so replays end on the same tick)
+    this.game.after(0.8, () => {
       if (typeof this.game.startEndingSequence === "function") {
         this.game.startEndingSequence();
       } else {
         this.game.triggerWin?.();
       }
-    }, 800);
+    });
   }
 
   _setHint(text) {
@@ -8,19 +8,46 @@ class Camera {
       this.viewH = viewH;
       this.worldW = worldW;
       this.worldH = worldH;
+
+      // Render interpolation (GameEngine snapshots prev each tick and sets alpha before draw)
+      this.prevX = 0;
+      this.prevY = 0;
+      this.alpha = 1;
+      this._hasFollowed = false;
     }
-  
+
     clamp(v, min, max) {
       return Math.max(min, Math.min(max, v));
     }
-  
+
     follow(targetX, targetY) {
       this.x = this.clamp(targetX - this.viewW / 2, 0, this.worldW - this.viewW);
       this.y = this.clamp(targetY - this.viewH / 2, 0, this.worldH - this.viewH);
+
+      // First follow after construction: don't sweep in from (0,0)
+      if (!this._hasFollowed) {
+        this._hasFollowed = true;
+        this.prevX = this.x;
+        this.prevY = this.y;
+      }
     }
-  
+
+    // Window resize (GameEngine.onViewportResize): keep the same world point centered
+    resize(viewW, viewH) {
+      const centerX = this.x + this.viewW / 2;
+      const centerY = this.y + this.viewH / 2;
+      this.viewW = viewW;
+      this.viewH = viewH;
+      this.follow(centerX, centerY);
+      this.snapshot();
+    }
+
+    snapshot() {
+      this.prevX = this.x;
+      this.prevY = this.y;
+    }
+
     // snap to integer pixels to prevent seams
-    get renderX() { return Math.floor(this.x); }
-    get renderY() { return Math.floor(this.y); }
+    get renderX() { return Math.floor(this.prevX + (this.x - this.prevX) * this.alpha); }
+    get renderY() { return Math.floor(this.prevY + (this.y - this.prevY) * this.alpha); }
   }
-  
\ No newline at end of file
@@ -0,0 +1,310 @@
+// game/dev_console.js
+// DevConsole (developer console + entity inspector; markup in index.html):
+// - Only when enabled (main.js passes ?dev from the URL); otherwise ` does nothing for players
+// - ` (backquote) opens / closes it; typed keys stay in the console and never reach game.input
+// - Commands: help, debug, god, give coins|keys|hp <n>, spawn <type> [count], tp exit|<x> <y>,
+//   level <n>, wake all, clear
+// - Lines run through the "dev:run" UI command, so a recording replays them on the same tick
+//   (registered even when disabled, so a dev recording still plays back)
+// - While open, clicking the canvas selects the nearest entity; the inspector lists its live fields
+// Created once in main.js; not an entity (the inspector refreshes on its own frame loop).
+
+class DevConsole {
+  static TOGGLE_KEY = "`";
+  static MAX_LINES = 100;
+
+  // Click distance (world px) for picking an entity to inspect
+  static PICK_RADIUS = 64;
+
+  // Shown first in the inspector when the entity has them; other number / string / boolean fields follow
+  static INSPECT_FIRST = [
+    "tag", "type", "state", "hp", "maxHp", "asleep", "dead", "active",
+    "attackCooldown", "attack2Cooldown", "hurtInvuln", "hurtLocked", "attackLocked", "x", "y"
+  ];
+
+  constructor(game, assetManager, { levelCount = 1, enabled = false } = {}) {
+    this.game = game;
+    this.AM = assetManager;
+    this.levelCount = levelCount;
+
+    // DOM references (must exist in index.html)
+    this.root = document.getElementById("devConsole");
+    this.logEl = document.getElementById("devConsoleLog");
+    this.inputEl = document.getElementById("devConsoleInput");
+    this.inspectorEl = document.getElementById("devInspector");
+    this.canvas = document.getElementById("gameWorld");
+
+    this.open = false;
+    this.history = [];
+    this.historyIndex = 0;
+    this.selected = null;
+
+    this.commands = {
+      help: () => this.help(),
+      clear: () => this.clear(),
+      debug: () => this.toggleDebug(),
+      god: () => this.toggleGod(),
+      give: (args) => this.give(args),
+      spawn: (args) => this.spawn(args),
+      tp: (args) => this.teleport(args),
+      level: (args) => this.level(args),
+      wake: (args) => this.wake(args)
+    };
+
+    game.registerCommand("dev:run", ({ line }) => this.run(line));
+
+    if (!enabled || !this.root || !this.inputEl) return;
+
+    // Capture phase, so the toggle key is handled before the game's own key listeners
+    window.addEventListener("keydown", (e) => {
+      if (e.key !== DevConsole.TOGGLE_KEY) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.setOpen(!this.open);
+    }, true);
+
+    this.inputEl.addEventListener("keydown", (e) => this.onInputKey(e));
+
+    if (this.canvas) this.canvas.addEventListener("click", (e) => this.onCanvasClick(e));
+
+    requestAnimationFrame(() => this.frame());
+  }
+
+  setOpen(open) {
+    this.open = open;
+    this.root.classList.toggle("hidden", !open);
+
+    if (open) {
+      this.inputEl.focus();
+      if (this.logEl && !this.logEl.childElementCount) this.print("Developer console. Type help for commands.");
+    } else {
+      this.inputEl.blur();
+      this.select(null);
+      this.canvas?.focus();
+    }
+  }
+
+  onInputKey(e) {
+    // Keep typing out of the game's input layer
+    e.stopPropagation();
+
+    if (e.key === "Escape") {
+      this.setOpen(false);
+      return;
+    }
+
+    if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+      e.preventDefault();
+      if (this.history.length === 0) return;
+      const step = e.key === "ArrowUp" ? -1 : 1;
+      this.historyIndex = Math.max(0, Math.min(this.history.length, this.historyIndex + step));
+      this.inputEl.value = this.history[this.historyIndex] || "";
+      return;
+    }
+
+    if (e.key !== "Enter") return;
+
+    const line = this.inputEl.value.trim();
+    this.inputEl.value = "";
+    if (!line) return;
+
+    this.history.push(line);
+    this.historyIndex = this.history.length;
+    this.print(`> ${line}`);
+    this.game.command("dev:run", { line });
+  }
+
+  // Runs one console line; the reply goes to the log
+  run(line) {
+    const [name, ...args] = String(line).trim().split(/\s+/);
+    const command = this.commands[name.toLowerCase()];
+    if (!command) {
+      this.print(`Unknown command: ${name} (try help)`);
+      return;
+    }
+
+    const reply = command(args);
+    if (reply) this.print(reply);
+  }
+
+  print(text) {
+    if (!this.logEl) return;
+
+    const line = document.createElement("div");
+    line.textContent = text;
+    this.logEl.appendChild(line);
+    while (this.logEl.childElementCount > DevConsole.MAX_LINES) this.logEl.firstElementChild.remove();
+    this.logEl.scrollTop = this.logEl.scrollHeight;
+  }
+
+  // ----- Commands -----
+
+  help() {
+    return [
+      "debug                 toggle collider / hitbox overlays",
+      "god                   toggle invulnerability",
+      "give coins|keys|hp N  add coins, keys or health",
+      "spawn TYPE [COUNT]    spawn awake enemies near the player",
+      "tp exit | tp X Y      teleport the player",
+      "level N               load level N (1 = Level 1, 3 = boss arena)",
+      "wake all              wake every sleeping enemy",
+      "clear                 clear this log",
+      "Click an entity while the console is open to inspect it."
+    ].join("\n");
+  }
+
+  clear() {
+    if (this.logEl) this.logEl.textContent = "";
+    return "";
+  }
+
+  toggleDebug() {
+    this.game.debug = !this.game.debug;
+    return `debug ${this.game.debug ? "on" : "off"}`;
+  }
+
+  toggleGod() {
+    this.game.godMode = !this.game.godMode;
+    return `god mode ${this.game.godMode ? "on" : "off"}`;
+  }
+
+  give([what, amountText]) {
+    const amount = Number.parseInt(amountText ?? "1", 10);
+    if (!Number.isFinite(amount)) return "Usage: give coins|keys|hp N";
+
+    const game = this.game;
+    if (what === "coins") {
+      game.coinsCollected = (game.coinsCollected || 0) + amount;
+      return `coins: ${game.coinsCollected}`;
+    }
+    if (what === "keys") {
+      game.keysCollected = (game.keysCollected || 0) + amount;
+      game.emit("key:collected", { key: null, total: game.keysCollected });
+      return `keys: ${game.keysCollected}`;
+    }
+    if (what === "hp" && game.player) {
+      const player = game.player;
+      player.hp = Math.min(player.maxHp, player.hp + amount);
+      return `hp: ${player.hp} / ${player.maxHp}`;
+    }
+    return "Usage: give coins|keys|hp N";
+  }
+
+  spawn([type, countText]) {
+    const game = this.game;
+    if (!type || !EnemyCreator.TYPES[type]) {
+      return `Usage: spawn TYPE [COUNT] (types: ${Object.keys(EnemyCreator.TYPES).join(", ")})`;
+    }
+    if (!game.player || !game.tileMap) return "No level loaded";
+
+    const count = Math.max(1, Number.parseInt(countText ?? "1", 10) || 1);
+    const enemies = EnemyCreator.spawnMany(game, this.AM, game.tileMap, game.camera, game.player, [{ type, count }]);
+    for (const e of enemies) {
+      const s = LevelSetup.findSpawnNear(game.rng, game.tileMap, game.player, 160);
+      e.x = s.x;
+      e.y = s.y;
+      e.asleep = false;
+      game.addEntity(e);
+    }
+    return `spawned ${count} ${type}`;
+  }
+
+  teleport(args) {
+    const game = this.game;
+    const player = game.player;
+    if (!player || !game.tileMap) return "No level loaded";
+
+    let x;
+    let y;
+    if (args[0] === "exit") {
+      const exit = game.tileMap.getExitRect();
+      if (!exit) return "This map has no ExitPoint";
+      x = exit.x + exit.w / 2;
+      y = exit.y + exit.h / 2;
+    } else {
+      x = Number(args[0]);
+      y = Number(args[1]);
+      if (!Number.isFinite(x) || !Number.isFinite(y)) return "Usage: tp exit | tp X Y";
+    }
+
+    player.x = x;
+    player.y = y;
+    game.camera?.follow(x, y);
+    return `teleported to ${Math.round(x)}, ${Math.round(y)}`;
+  }
+
+  level([numberText]) {
+    const number = Number.parseInt(numberText, 10);
+    if (!(number >= 1 && number <= this.levelCount)) return `Usage: level N (1-${this.levelCount})`;
+
+    // Same request the exit transporter makes; level_loader (main.js) builds it between ticks
+    this.game.pendingLevelIndex = number - 1;
+    return `loading level ${number}`;
+  }
+
+  wake([which]) {
+    if (which !== "all") return "Usage: wake all";
+
+    let woken = 0;
+    for (const e of this.game.entities) {
+      if (e.asleep) {
+        e.asleep = false;
+        woken += 1;
+      }
+    }
+    return `woke ${woken} enemies`;
+  }
+
+  // ----- Inspector -----
+
+  onCanvasClick(e) {
+    const camera = this.game.camera;
+    if (!this.open || !camera) return;
+
+    const view = this.game.viewport.toView(e.clientX, e.clientY);
+    const x = view.x + camera.x;
+    const y = view.y + camera.y;
+
+    let best = null;
+    let bestDist = Infinity;
+    for (const entity of this.game.queryRadius(x, y, DevConsole.PICK_RADIUS)) {
+      const dist = Math.hypot(entity.x - x, entity.y - y);
+      if (dist < bestDist) {
+        best = entity;
+        bestDist = dist;
+      }
+    }
+
+    this.select(best);
+    this.inputEl.focus();
+  }
+
+  select(entity) {
+    this.selected = entity;
+    if (this.inspectorEl) this.inspectorEl.classList.toggle("hidden", !entity);
+  }
+
+  frame() {
+    if (this.selected && this.selected.removeFromWorld) this.select(null);
+    if (this.selected) this.renderInspector(this.selected);
+
+    requestAnimationFrame(() => this.frame());
+  }
+
+  renderInspector(entity) {
+    if (!this.inspectorEl) return;
+
+    const isField = (key) => {
+      const value = entity[key];
+      return ["number", "string", "boolean"].includes(typeof value) && !key.startsWith("_");
+    };
+
+    const first = DevConsole.INSPECT_FIRST.filter((key) => key in entity && isField(key));
+    const rest = Object.keys(entity).filter((key) => isField(key) && !first.includes(key)).sort();
+
+    const format = (value) => (typeof value === "number" && !Number.isInteger(value) ? value.toFixed(2) : String(value));
+    const title = Profiler.tagOf(entity);
+
+    this.inspectorEl.textContent = [title, ...[...first, ...rest].map((key) => `${key}: ${format(entity[key])}`)].join("\n");
+  }
+}
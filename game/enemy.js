@@ -3,8 +3,10 @@
 // - Spawned via EnemyCreator (enemy_creator.js)
 // - Interacts with Player (player.js) for damage
 // - Uses TileMap (tilemap.js) for spawn positioning
+// - Separation finds nearby enemies with game.queryRadius (engine/spatialhash.js)
 // - Uses Camera (camera.js) for world-to-screen rendering
 // - Uses AssetManager for sprite sheets
+// - Emits enemy:spawned / enemy:damaged / enemy:died on the GameEngine event bus
 
 class Enemy {
   constructor(game, assetManager, tileMap, camera, player, opts = {}) {
@@ -28,7 +30,7 @@ class Enemy {
 
     // Core stats
     this.DRAW_SIZE = S.drawSize ?? 96;
-    this.SPEED = S.speed ?? 1.8;
+    this.SPEED = S.speed ?? 108; // px per second
     this.hp = S.hp ?? 3;
 
     // Combat tuning
@@ -81,6 +83,8 @@ class Enemy {
       this.spawnLocked = true;
       this.animElapsed = 0;
     }
+
+    this.game.emit("enemy:spawned", { enemy: this });
   }
 
   // Smaller collision box than sprite for fair hit detection
@@ -91,15 +95,15 @@ class Enemy {
   }
 
   // Keep a small buffer between enemies so they don't stack
-  applySeparation() {
+  applySeparation(dt) {
     const buffer = this.def?.stats?.separationRadius ?? 34;
-    const strength = this.def?.stats?.separationStrength ?? 0.8;
+    const strength = this.def?.stats?.separationStrength ?? 48; // px per second
 
     let ax = 0;
     let ay = 0;
 
-    for (const ent of this.game.entities) {
-      if (!ent || ent === this || ent.tag !== "enemy" || ent.removeFromWorld) continue;
+    for (const ent of this.game.queryRadius(this.x, this.y, buffer, "enemy")) {
+      if (ent === this) continue;
 
       const dx = this.x - ent.x;
       const dy = this.y - ent.y;
@@ -118,7 +122,7 @@ class Enemy {
     ax /= mag;
     ay /= mag;
 
-    const step = strength;
+    const step = strength * dt;
     const tryX = this.x + ax * step;
     const tryY = this.y + ay * step;
 
@@ -132,8 +136,8 @@ class Enemy {
     const t = this.map.TILE_SIZE;
 
     for (let i = 0; i < tries; i++) {
-      const col = Math.floor(Math.random() * this.map.COLS);
-      const row = Math.floor(Math.random() * this.map.ROWS);
+      const col = this.game.rng.int(this.map.COLS);
+      const row = this.game.rng.int(this.map.ROWS);
 
       const x = (col + 0.5) * t;
       const y = (row + 0.5) * t;
@@ -171,6 +175,7 @@ class Enemy {
     if (this.dead || this.hurtLocked) return;
 
     this.hp -= amount;
+    this.game.emit("enemy:damaged", { enemy: this, amount, hp: Math.max(0, this.hp) });
 
     // Death state
     if (this.hp <= 0) {
@@ -192,6 +197,34 @@ class Enemy {
     this.attackLocked = false;
   }
 
+  // Save / continue (save_game.js); an enemy saved mid-death finishes dying (and drops loot) after loading
+  toSave() {
+    return {
+      type: this.type,
+      x: this.x,
+      y: this.y,
+      hp: this.hp,
+      asleep: this.asleep,
+      facing: this.facing,
+      dying: this.dead
+    };
+  }
+
+  loadSave(s) {
+    this.x = s.x;
+    this.y = s.y;
+    this.hp = s.hp;
+    this.asleep = s.asleep === true;
+    this.facing = s.facing || this.facing;
+
+    if (s.dying) {
+      this.dead = true;
+      this.state = "die";
+      this.animElapsed = 0;
+      this.spawnLocked = false;
+    }
+  }
+
   // Begins attack animation and sets cooldown
   startAttack() {
     this.state = "attack";
@@ -272,6 +305,9 @@ class Enemy {
       if (this.animElapsed >= cfg.frames * cfg.ft) {
         this.dropLootOnce();
         this.removeFromWorld = true;
+
+        // After the loot drop, so listeners already see the dropped coin
+        this.game.emit("enemy:died", { enemy: this });
       }
       return;
     }
@@ -340,8 +376,8 @@ class Enemy {
       const nx = dx / dist;
       const ny = dy / dist;
 
-      this.x += nx * this.SPEED;
-      this.y += ny * this.SPEED;
+      this.x += nx * this.SPEED * dt;
+      this.y += ny * this.SPEED * dt;
 
       this.state = "walk";
     } else {
@@ -349,7 +385,7 @@ class Enemy {
     }
 
     // Apply separation after movement to prevent stacking
-    this.applySeparation();
+    this.applySeparation(dt);
 
     this.animElapsed += dt;
 
@@ -363,15 +399,13 @@ class Enemy {
     if (this.lootDropped) return;
     this.lootDropped = true;
   
-    const add = this.game.addWorldEntity
-      ? this.game.addWorldEntity.bind(this.game)
-      : this.game.addEntity.bind(this.game);
+    const add = this.game.addEntity.bind(this.game);
   
     // Boss level loot rule:
     // - no coins
     // - 50% chance heart
     if (this.game?.currentLevelIndex === 2) {
-      if (typeof HeartPickup === "function" && Math.random() < 0.50) {
+      if (typeof HeartPickup === "function" && this.game.rng.chance(0.50)) {
         add(new HeartPickup(
           this.game, this.AM, this.camera, this.player,
           this.x + 8, this.y + 6,
@@ -384,11 +418,13 @@ class Enemy {
     // Non-boss levels: keep coin drops (respect global cap)
     const max = this.game?.maxCoinsAvailable ?? 17;
     if (typeof CoinPickup === "function" && (this.game?.coinsCollected ?? 0) < max) {
-      add(new CoinPickup(
+      const coin = new CoinPickup(
         this.game, this.AM, this.camera, this.player,
         this.x, this.y,
         { size: 22, radius: 26, frameTime: 0.1 }
-      ));
+      );
+      add(coin);
+      this.game.emit("coin:dropped", { coin, enemy: this });
     }
   }
   
@@ -399,8 +435,9 @@ class Enemy {
     const camX = this.camera.renderX;
     const camY = this.camera.renderY;
 
-    const screenX = this.x - camX;
-    const screenY = this.y - camY;
+    const pos = this.game.renderPosition(this);
+    const screenX = pos.x - camX;
+    const screenY = pos.y - camY;
 
     const drawX = screenX - this.DRAW_SIZE / 2;
     const drawY = screenY - this.DRAW_SIZE / 2;
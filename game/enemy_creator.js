@@ -9,13 +9,15 @@
 class EnemyCreator {
   // Enemy type definitions:
   // - stats: gameplay tuning values read by Enemy (enemy.js)
+  //   (speed / projectileSpeed are px per second)
   // - anim: sprite sheet configs read by Enemy.draw (enemy.js)
+  //   (every image path in a type, incl. stats.projectileImg, is downloaded via AssetManifest.core)
   // - optional hooks: used by Enemy.update (enemy.js)
   static TYPES = {
     skeletonWhite: {
       stats: {
         drawSize: 70,
-        speed: 1.5,
+        speed: 90,
         hp: 1,
         minFromPlayer: 240,
         attackCooldown: 0.9,
@@ -35,7 +37,7 @@ class EnemyCreator {
     zombie: {
       stats: {
         drawSize: 92,
-        speed: 1.2,
+        speed: 72,
         hp: 1,
         minFromPlayer: 240,
         attackCooldown: 1.1,
@@ -58,7 +60,7 @@ class EnemyCreator {
     dragon: {
       stats: {
         drawSize: 60,
-        speed: 1.6,
+        speed: 96,
         hp: 1,
         minFromPlayer: 240,
         hurtRecovery: 0.25,
@@ -72,9 +74,10 @@ class EnemyCreator {
         invertFlip: true,
 
         // Projectile config read by onAttackFrame below
-        projectileSpeed: 3,
+        projectileSpeed: 180,
         projectileDamage: 1,
-        projectileLife: 2.4
+        projectileLife: 2.4,
+        projectileImg: "assets/images/enemy3_sprite/projectile.png"
       },
 
       anim: {
@@ -113,7 +116,8 @@ class EnemyCreator {
           spawnX, spawnY,
           vx, vy,
           {
-            speed: S.projectileSpeed ?? 6.4,
+            imgPath: S.projectileImg,
+            speed: S.projectileSpeed ?? 384,
             damage: S.projectileDamage ?? 1,
             life: S.projectileLife ?? 2.4,
             radius: 14
@@ -126,7 +130,7 @@ class EnemyCreator {
     enemy4: {
       stats: {
         drawSize: 100,          // adjust if too big/small
-        speed: 1.35,
+        speed: 81,
         hp: 3,                // tougher than hp:1 enemies
         minFromPlayer: 240,
         attackCooldown: 1.0,
@@ -149,7 +153,7 @@ class EnemyCreator {
     enemy5: {
       stats: {
         drawSize: 90,
-        speed: 1.45,
+        speed: 87,
         hp: 3,
         minFromPlayer: 240,
         hurtRecovery: 0.20,
@@ -161,9 +165,10 @@ class EnemyCreator {
         holdInRange: true,
         invertFlip: false,
 
-        projectileSpeed: 5.2,
+        projectileSpeed: 312,
         projectileDamage: 1,
-        projectileLife: 2.0
+        projectileLife: 2.0,
+        projectileImg: "assets/images/enemy5_sprite/Arrow.png"
       },
     
       anim: {
@@ -199,8 +204,8 @@ class EnemyCreator {
           spawnX, spawnY,
           vx, vy,
           {
-            imgPath: "assets/images/enemy5_sprite/Arrow.png",
-            speed: S.projectileSpeed ?? 6.5,
+            imgPath: S.projectileImg,
+            speed: S.projectileSpeed ?? 390,
             damage: S.projectileDamage ?? 1,
             life: S.projectileLife ?? 2.0,
             radius: 10
@@ -212,7 +217,7 @@ class EnemyCreator {
     enemy6: {
       stats: {
         drawSize: 96,
-        speed: 1.55,
+        speed: 93,
         hp: 4,
         minFromPlayer: 240,
         attackCooldown: 1.05,
@@ -3,31 +3,34 @@
 // - Reads game state (main.js)
 // - Reads player state (player.js)
 // - Reads objectives system (objectives.js)
-// - Updates HTML elements defined in index.html
-// Does NOT draw on canvas.
+// - Updates HTML elements defined in index.html (missing elements, e.g. headless, are skipped)
+// Only canvas drawing is the minimap, on the "hud" render layer (engine/gameengine.js).
 
 class HUD {
   constructor(game, player) {
     this.game = game;
     this.player = player;
 
+    // Topmost render layer: drawn after world, effects and overlays
+    this.layer = "hud";
+
     // DOM references (must exist in index.html)
-    this.hpTextEl = document.getElementById("hudHpText");
-    this.hpFillEl = document.getElementById("hudHpFill");
-    this.keysTextEl = document.getElementById("hudKeysText");
-    this.coinsTextEl = document.getElementById("hudCoinsText");
+    this.hpTextEl = getElementById("hudHpText");
+    this.hpFillEl = getElementById("hudHpFill");
+    this.keysTextEl = getElementById("hudKeysText");
+    this.coinsTextEl = getElementById("hudCoinsText");
 
     // Attack 2 cooldown UI
-    this.atk2TextEl = document.getElementById("hudAtk2Text");
-    this.atk2FillEl = document.getElementById("hudAtk2Fill");
+    this.atk2TextEl = getElementById("hudAtk2Text");
+    this.atk2FillEl = getElementById("hudAtk2Fill");
 
     // Objectives + story UI
-    this.objTextEl = document.getElementById("hudObjectiveText");
-    this.storyToastEl = document.getElementById("hudStoryToast");
+    this.objTextEl = getElementById("hudObjectiveText");
+    this.storyToastEl = getElementById("hudStoryToast");
 
     // New Code
     // Minimap HUD overlay (top-left, draws on HUD layer)
-    this.minimap = (typeof Minimap === "function")
+    this.minimap = (typeof Minimap === "function" && !game.headless)
       ? new Minimap(game, game?.tileMap, game?.camera, player)
       : null;
   }
@@ -119,7 +122,7 @@ class HUD {
 
   draw() {
     // New Code
-    // Draw minimap on the HUD layer (after world draw).
+    // Draw minimap on the HUD layer (after every other layer).
     if (this.minimap && this.game?.ctx) {
       this.minimap.draw(this.game.ctx);
     }
@@ -3,7 +3,7 @@
 // Responsibilities:
 // - animate the key sprite sheet (18 frames)
 // - detect when the player is close enough to collect it
-// - increment gameEngine.keysCollected and remove itself from the world
+// - increment gameEngine.keysCollected, emit key:collected and remove itself from the world
 // - optional: wake up a “guard” enemy when the player approaches the key
 
 class KeyPickup {
@@ -52,9 +52,6 @@ class KeyPickup {
   }
 
   update() {
-    // Stop collecting keys after game over (prevents odd edge cases)
-    if (this.game.gameOver) return;
-
     const dt = this.game.clockTick || 1 / 60;
 
     // 
@@ -88,14 +85,11 @@ class KeyPickup {
     // 
     // Pickup check (collect if player is within radius)
     // 
-    const dx = this.player.x - this.x;
-    const dy = this.player.y - this.y;
-    const dist = Math.hypot(dx, dy);
-
-    if (dist <= this.pickupRadius) {
+    if (this.game.queryRadius(this.x, this.y, this.pickupRadius, "player").length > 0) {
       // Ensure counter exists
       if (typeof this.game.keysCollected !== "number") this.game.keysCollected = 0;
       this.game.keysCollected += 1;
+      this.game.emit("key:collected", { key: this, total: this.game.keysCollected });
 
       // Remove the key so it disappears and can't be collected again
       this.removeFromWorld = true;
@@ -0,0 +1,400 @@
+// game/level_builder.js
+// LevelBuilder: the DOM-free part of building a level, shared by main.js (buildLevel) and tools/headless.js
+// - Resets per-level state, loads the map, makes camera + player (hp / maxHp carry over from the last level)
+// - Adds every level entity in the fixed order replays rely on: enemies, player, story scroll, keys,
+//   shop trigger / NPC / arena controller / boss encounter (boss level), exit transporter, HUD, tilemap hooks
+// - Browser-only effects come in as hooks (openShop, onLevelCompleted); without them (headless) the shop
+//   never opens and level completion isn't remembered, but the run plays the same
+// - Applies a continued run (save_game.js) last
+// The map and its tilesets must already be in the AssetManager (main.js downloads them, headless reads them from disk).
+
+class LevelBuilder {
+  static LEVELS = ["./assets/Level1_Map.tmj", "./assets/Level2_Map.tmj", "./assets/Boss_Map.tmj"];
+  static BOSS_LEVEL = 2;
+
+  // Entities that outlive level switches (main.js level_loader + pause_controller)
+  static PERSISTENT_TAGS = ["level_loader", "pause_controller"];
+
+  static BOSS_LAUGH_SOUND = "assets/sounds/boss_laugh.mp3";
+
+  static BOSS_INTRO_LINES = [
+    "So... you've made it this far.",
+    "I was beginning to think the arena had gone soft.",
+    "Come then. Show me whether your strength is real."
+  ];
+
+  // Tiled object -> its center point (point objects are already one)
+  static pointFromObject(o) {
+    if (!o) return null;
+    const x = o.point ? o.x : (o.x + (o.width || 0) / 2);
+    const y = o.point ? o.y : (o.y + (o.height || 0) / 2);
+    return { x, y };
+  }
+
+  static aabbIntersect(a, b) {
+    return a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+  }
+
+  // Finds ExitPoint object in ANY object layer
+  static exitRect(tileMap) {
+    const map = tileMap?._map;
+    if (!map) return null;
+
+    for (const layer of tileMap.allLayers) {
+      if (layer.type !== "objectgroup") continue;
+
+      for (const o of layer.objects ?? []) {
+        if (o.name !== "ExitPoint") continue;
+
+        // If it's a POINT, make it a bigger trigger box
+        if (o.point) {
+          const size = tileMap.TILE_SIZE * 2;
+          return { x: o.x - size / 2, y: o.y - size / 2, w: size, h: size };
+        }
+
+        // Rectangle/tile object
+        const w = o.width && o.width > 0 ? o.width : tileMap.TILE_SIZE;
+        const h = o.height && o.height > 0 ? o.height : tileMap.TILE_SIZE;
+
+        // If it's a tile-object (has gid), Tiled anchors it at bottom-left
+        const yTop = o.gid ? o.y - h : o.y;
+
+        return { x: o.x, y: yTop, w, h };
+      }
+    }
+    return null;
+  }
+
+  // Boss lines on the HUD story toast, then onDone. Timed in world time (game.after), so the encounter
+  // starts on the same tick in a replay; unscaled, so hit-stop / slow motion don't stretch the lines.
+  static playBossDialogue(game, lines, onDone) {
+    let idx = 0;
+    const showNext = () => {
+      game.storyToast = lines[idx];
+      idx += 1;
+
+      if (idx >= lines.length) {
+        game.after(1.4, () => {
+          game.storyToast = "";
+          if (onDone) onDone();
+        }, { unscaled: true });
+        return;
+      }
+
+      game.after(1.8, showNext, { unscaled: true });
+    };
+
+    showNext();
+  }
+
+  // progress = the engine's LevelProgress; save = a continued run (save_game.js) or null
+  // hooks: openShop() when the player uses the shop, onLevelCompleted(levelIndex) when the exit is taken
+  // Returns { tileMap, camera, player, keyGuards, keys, boss, bossEncounter }
+  static async build(game, AM, progress, levelIndex, { save = null, hooks = {} } = {}) {
+    const isBossLevel = levelIndex === LevelBuilder.BOSS_LEVEL;
+    const levels = LevelBuilder.LEVELS;
+
+    // Reset per-level counters
+    progress.reset(isBossLevel ? 0 : 3);
+
+    // Same seed + level -> same guard spots / loot, no matter what happened on earlier levels
+    // (nor does the last level's hit-stop / slow motion carry over)
+    game.rng.reset(levelIndex);
+    game.clearTimeEffects();
+    game.currentLevelIndex = levelIndex;
+    game.contextHint = "";
+    game.contextHintSource = "";
+
+    // Level-start coin checkpoint (for restart current level)
+    game.levelStartCoins = game.coinsCollected || 0;
+    game.levelStartIndex = levelIndex;
+
+    // Clear entities safely HERE (not inside an entity update loop); their onRemoved hooks clean up
+    game.clearEntities((e) => LevelBuilder.PERSISTENT_TAGS.includes(e.tag));
+
+    // Load map + camera + player
+    const prevPlayer = game.player || null;
+    const tileMap = new TileMap(game, AM);
+    await tileMap.loadFromTiledTMJ(levels[levelIndex]);
+
+    // Debug proof of which level/map is loaded
+    console.log("BUILD LEVEL:", levelIndex, "loaded:", levels[levelIndex], "mapName:", tileMap?._map?.name);
+
+    const camera = new Camera(game.viewW, game.viewH, tileMap.WORLD_W, tileMap.WORLD_H);
+    const player = new Player(game, AM, tileMap, camera);
+    game.player = player;
+
+    // Keep health in sync across levels (carry over hp/maxHp from previous level)
+    if (prevPlayer) {
+      if (typeof prevPlayer.maxHp === "number") player.maxHp = prevPlayer.maxHp;
+      if (typeof prevPlayer.hp === "number") player.hp = Math.min(prevPlayer.hp, player.maxHp);
+    }
+
+    // Expose map + camera for HUD/minimap usage without globals.
+    game.tileMap = tileMap;
+    game.camera = camera;
+
+    // Objectives
+    game.objectives = new ObjectiveManager(game, player);
+
+    // --- Story Scroll ---
+    // Only Level 1 should spawn the story scroll.
+    let storyScroll = null;
+    if (levelIndex === 0) {
+      const scrollPoint = (tileMap.scrollSpawns || []).find((s) => s.name === "story_scroll");
+      const scrollX = scrollPoint ? scrollPoint.x : player.x + 90;
+      const scrollY = scrollPoint ? scrollPoint.y : player.y + 10;
+
+      const storyLines = ["You wake in a cursed valley.", "Find the three keys and defeat the guardians."];
+
+      storyScroll = new ScrollStoryPickup(game, AM, camera, player, scrollX, scrollY, {
+        size: 90,
+        radius: 80,
+        storyLines
+      });
+    }
+
+    let shopEntity = null;
+    let npcEntity = null;
+    let bossEntity = null;
+    let bossEncounter = null;
+    let arenaController = null;
+
+    if (isBossLevel) {
+      game.arenaStarted = false;
+
+      const shopPoint = LevelBuilder.pointFromObject(tileMap.getObjectByName("shop_spawn"));
+      if (shopPoint) {
+        shopEntity = {
+          tag: "shop_trigger",
+          update: () => {
+            const dist = Math.hypot(player.x - shopPoint.x, player.y - shopPoint.y);
+            const near = dist <= 90;
+
+            // Frozen while the Shop scene is open, so this only runs during gameplay
+            if (near) {
+              game.contextHint = `Press ${game.input.primaryKeyLabel("interact")} near the shop to buy upgrades`;
+              game.contextHintSource = "shop";
+            } else if (game.contextHintSource === "shop") {
+              game.contextHint = "";
+              game.contextHintSource = "";
+            }
+
+            if (near && game.input.wasPressed("interact") && hooks.openShop) {
+              hooks.openShop();
+            }
+          },
+          draw: () => {},
+          removeFromWorld: false
+        };
+      }
+
+      const npcPoint = LevelBuilder.pointFromObject(tileMap.getObjectByName("npc_spawn"));
+      if (npcPoint) {
+        npcEntity = new NPC(game, AM, tileMap, camera, player, npcPoint.x, npcPoint.y);
+      }
+
+      // ------------------------------
+      // Phase A Boss Setup (foundation)
+      // ------------------------------
+      const rectFromObj = (o) => {
+        if (!o) return null;
+        if (o.point) {
+          const size = tileMap.TILE_SIZE * 3;
+          return { x: o.x - size / 2, y: o.y - size / 2, w: size, h: size };
+        }
+        return { x: o.x, y: o.y, w: o.width || tileMap.TILE_SIZE, h: o.height || tileMap.TILE_SIZE };
+      };
+
+      const bossSpawn = LevelBuilder.pointFromObject(tileMap.getObjectByName("boss_spawn"));
+      const arenaCenter = LevelBuilder.pointFromObject(tileMap.getObjectByName("arena_center")) || bossSpawn;
+      const arenaTrigger = rectFromObj(tileMap.getObjectByName("arena_trigger"));
+
+      const enemySpawns = ["enemy_spawn_1", "enemy_spawn_2", "enemy_spawn_3"]
+        .map((n) => LevelBuilder.pointFromObject(tileMap.getObjectByName(n)))
+        .filter(Boolean);
+
+      // Expose for later phases
+      game.bossSpawns = {
+        bossSpawn,
+        arenaCenter,
+        enemySpawns
+      };
+
+      // Boss entity (starts inactive/idle)
+      if (bossSpawn) {
+        bossEntity = new BossEnemy(game, AM, tileMap, camera, player, bossSpawn.x, bossSpawn.y, {
+          roundHitTarget: 3,
+          onRetreat: null
+        });
+      }
+
+      // Phase B: Round 1 encounter controller
+      if (bossEntity) {
+        bossEncounter = new BossEncounter(game, AM, tileMap, camera, player, bossEntity);
+      }
+
+      // Arena trigger foundation (a continued run resumes inside the arena; the intro is skipped
+      // once the saved encounter had started)
+      let arenaStarted = save?.arenaStarted === true;
+      let bossIntroDone = save?.encounter?.started === true;
+
+      if (arenaStarted) {
+        game.arenaStarted = true;
+        tileMap.activateBlockedColliders();
+        tileMap.activateBlockedAreas();
+      }
+
+      arenaController = {
+        tag: "arena_controller",
+        update: () => {
+          if (!bossEntity) return;
+
+          // Start arena when player enters trigger (or near center if trigger missing)
+          if (!arenaStarted) {
+            let shouldStart = false;
+
+            if (arenaTrigger) {
+              const b = player.getCollisionAABBAt(player.x, player.y);
+              shouldStart = LevelBuilder.aabbIntersect({ x: b.left, y: b.top, w: b.w, h: b.h }, arenaTrigger);
+            } else if (arenaCenter) {
+              shouldStart = Math.hypot(player.x - arenaCenter.x, player.y - arenaCenter.y) <= 180;
+            }
+
+            if (shouldStart) {
+              arenaStarted = true;
+              game.arenaStarted = true;
+              game.contextHint = "Welcome to the arena. There's no leaving now.";
+              game.contextHintSource = "arena";
+              tileMap.activateBlockedColliders();
+              tileMap.activateBlockedAreas();
+            }
+          }
+
+          if (!arenaStarted) return;
+
+          // Boss intro when player approaches boss area
+          const center = arenaCenter || bossSpawn;
+          if (center && !bossIntroDone && Math.hypot(player.x - center.x, player.y - center.y) <= 160) {
+            bossIntroDone = true;
+            if (game.playSound) game.playSound(LevelBuilder.BOSS_LAUGH_SOUND, 0.7);
+            LevelBuilder.playBossDialogue(game, LevelBuilder.BOSS_INTRO_LINES, () => {
+              if (bossEncounter) bossEncounter.startEncounter();
+            });
+          }
+        },
+        draw: () => {},
+        removeFromWorld: false
+      };
+    }
+
+    // Key guards + keys (game/level_setup.js); the boss level has neither
+    let keyGuards = [];
+    let keys = [];
+    if (!isBossLevel) {
+      ({ enemies: keyGuards, keys } = LevelSetup.spawnGuardedKeys(game, AM, tileMap, camera, player, levelIndex));
+    }
+
+    // =========================================================
+    // ENTITY ADD ORDER (update order only; drawing goes by render layer + y-sort)
+    // 1) enemies
+    // 2) player
+    // 3) storyScroll
+    // 4) key1..key3
+    // 5) shop trigger, NPC, arena controller, boss encounter (boss level)
+    // 6) exit transporter
+    // 7) HUD
+    // 8) tilemap layers (below, above, debug)
+    // =========================================================
+
+    const enemies = [...keyGuards];
+    if (bossEntity) enemies.push(bossEntity);
+    for (const e of enemies) game.addEntity(e);
+
+    game.addEntity(player);
+    if (storyScroll) game.addEntity(storyScroll);
+
+    for (const key of keys) game.addEntity(key);
+
+    if (shopEntity) game.addEntity(shopEntity);
+    if (npcEntity) game.addEntity(npcEntity);
+    if (arenaController) game.addEntity(arenaController);
+    if (bossEncounter) game.addEntity(bossEncounter);
+
+    // Exit Transporter (FIXED: request only once; do NOT touch currentLevelIndex here)
+    game.addEntity({
+      update: () => {
+        if (!game.exitUnlocked) return;
+
+        // prevent spam while standing on exit
+        if (game.loadingLevel) return;
+        if (game.pendingLevelIndex !== null && game.pendingLevelIndex !== undefined) return;
+
+        const exitRect = LevelBuilder.exitRect(tileMap);
+        if (!exitRect) return;
+
+        const b = player.getCollisionAABBAt(player.x, player.y);
+        const playerRect = { x: b.left, y: b.top, w: b.w, h: b.h };
+
+        if (!LevelBuilder.aabbIntersect(playerRect, exitRect)) return;
+
+        const nextIndex = game.currentLevelIndex + 1;
+
+        if (nextIndex >= levels.length) {
+          if (game.triggerWin) game.triggerWin();
+          return;
+        }
+
+        if (hooks.onLevelCompleted) hooks.onLevelCompleted(game.currentLevelIndex);
+
+        console.log("EXIT HIT -> requesting level", nextIndex, "path:", levels[nextIndex]);
+
+        // request load (safe); the pending index blocks repeat hits until level_loader takes it,
+        // and level_loader's loadingLevel lock then stops the engine ticking until the build is done
+        game.pendingLevelIndex = nextIndex;
+      },
+      draw: () => {},
+      removeFromWorld: false
+    });
+
+    // HUD
+    game.addEntity(new HUD(game, player));
+
+    // Tile map draw hook: tiles on the ground layer, trees/houses y-sorted into the world layer
+    game.addEntity({
+      tag: "tilemap_draw",
+      layer: "ground",
+      update: () => tileMap.update(),
+      draw: (ctx) => tileMap.draw(ctx, camera),
+      getWorldSprites: (ctx) => tileMap.getWorldSprites(ctx, camera),
+      removeFromWorld: false
+    });
+
+    // Map layers marked layer="above" (canopies, roofs) over the player
+    game.addEntity({
+      tag: "tilemap_above",
+      layer: "above",
+      update: () => {},
+      draw: (ctx) => tileMap.drawAbove(ctx, camera),
+      removeFromWorld: false
+    });
+
+    // Collider outlines (debug) above the world
+    game.addEntity({
+      tag: "tilemap_debug",
+      layer: "overlay",
+      update: () => {},
+      draw: (ctx) => tileMap.drawDebug(ctx, camera),
+      removeFromWorld: false
+    });
+
+    if (save) {
+      SaveGame.apply(game, save, { AM, tileMap, camera, player, keyGuards, keys, bossEncounter });
+    }
+
+    // A level with nothing to clear (boss level) counts as unlocked right away
+    progress.checkExitUnlock();
+
+    return { tileMap, camera, player, keyGuards, keys, boss: bossEntity, bossEncounter };
+  }
+}
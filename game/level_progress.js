@@ -0,0 +1,55 @@
+// game/level_progress.js
+// LevelProgress: per-level clear conditions, kept current by GameEngine events (no entity scans)
+// - game.levelStats { enemiesLeft, coinsLeft } follow enemy:spawned / enemy:died / coin:dropped / coin:collected
+// - Unlocks the exit (game.exitUnlocked + "level:exitUnlocked") once keys, enemies and dropped coins are done
+// - Created once per engine (main.js boot, tools/headless.js); reset() at the start of every level build
+
+class LevelProgress {
+  constructor(game) {
+    this.game = game;
+    this.reset(0);
+
+    // The boss is tracked by BossEncounter, not by the enemy count
+    game.on("enemy:spawned", ({ enemy }) => {
+      if (enemy && enemy.tag === "enemy") game.levelStats.enemiesLeft += 1;
+    });
+    game.on("enemy:died", ({ boss }) => {
+      if (boss) return;
+      game.levelStats.enemiesLeft = Math.max(0, game.levelStats.enemiesLeft - 1);
+      this.checkExitUnlock();
+    });
+
+    game.on("coin:dropped", () => {
+      game.levelStats.coinsLeft += 1;
+    });
+    game.on("coin:collected", () => {
+      game.levelStats.coinsLeft = Math.max(0, game.levelStats.coinsLeft - 1);
+      this.checkExitUnlock();
+    });
+
+    game.on("key:collected", () => this.checkExitUnlock());
+  }
+
+  // Clears keys / counters for a fresh level (call before anything spawns)
+  reset(requiredKeys) {
+    this.game.keysCollected = 0;
+    this.game.exitUnlocked = false;
+    this.game.levelStats = { enemiesLeft: 0, coinsLeft: 0 };
+    this.game.requiredKeys = requiredKeys;
+  }
+
+  // Exit unlocks once keys are in, every enemy is dead and every dropped coin is picked up
+  checkExitUnlock() {
+    const game = this.game;
+    if (game.exitUnlocked) return;
+
+    const keysOk = (game.keysCollected || 0) >= game.requiredKeys;
+    const { enemiesLeft, coinsLeft } = game.levelStats;
+
+    if (keysOk && enemiesLeft === 0 && coinsLeft === 0) {
+      game.exitUnlocked = true;
+      console.log("Exit unlocked! Go to ExitPoint.");
+      game.emit("level:exitUnlocked", { levelIndex: game.currentLevelIndex });
+    }
+  }
+}
@@ -0,0 +1,78 @@
+// game/level_setup.js
+// LevelSetup: builds the key-guard part of a normal (non-boss) level for LevelBuilder (level_builder.js)
+// - Reads key1..key3 points from the map (tileMap.keySpawns), with fixed fallbacks
+// - Spawns each key's guard pack asleep around its key (guards wake when the player nears the key)
+// - Returns the entities only; the caller adds them to the engine in its own order
+
+class LevelSetup {
+  // Guard enemy type per key, by level index (level 0 = map 1, level 1 = map 2)
+  static KEY_GUARD_TYPES = [
+    ["skeletonWhite", "zombie", "dragon"],
+    ["enemy4", "enemy5", "enemy6"]
+  ];
+  static KEY_GUARD_COUNTS = [3, 3, 2];
+
+  static GUARD_SPAWN_RADIUS = 140;
+  static GUARD_WAKE_RADIUS = 220;
+
+  static getKeyPoint(tileMap, name, fallbackX, fallbackY) {
+    const p = (tileMap.keySpawns || []).find((s) => s.name === name);
+    return p ? { x: p.x, y: p.y } : { x: fallbackX, y: fallbackY };
+  }
+
+  // Random walkable point within radiusPx of center (center itself if nothing fits)
+  static findSpawnNear(rng, tileMap, center, radiusPx, tries = 60) {
+    for (let i = 0; i < tries; i++) {
+      const ang = rng.next() * Math.PI * 2;
+      const r = rng.next() * radiusPx;
+
+      const x = center.x + Math.cos(ang) * r;
+      const y = center.y + Math.sin(ang) * r;
+
+      if (x < 0 || y < 0 || x >= tileMap.WORLD_W || y >= tileMap.WORLD_H) continue;
+      if (tileMap.isBlockedAtWorld(x, y)) continue;
+
+      return { x, y };
+    }
+    return { x: center.x, y: center.y };
+  }
+
+  // { enemies: all guards (key1's pack first), keys: [key1, key2, key3] }
+  static spawnGuardedKeys(game, AM, tileMap, camera, player, levelIndex) {
+    const points = [
+      LevelSetup.getKeyPoint(tileMap, "key1", tileMap.WORLD_W * 0.5, tileMap.WORLD_H * 0.15),
+      LevelSetup.getKeyPoint(tileMap, "key2", tileMap.WORLD_W * 0.2, tileMap.WORLD_H * 0.8),
+      LevelSetup.getKeyPoint(tileMap, "key3", tileMap.WORLD_W * 0.85, tileMap.WORLD_H * 0.7)
+    ];
+
+    const types = LevelSetup.KEY_GUARD_TYPES[levelIndex === 1 ? 1 : 0];
+
+    const packs = types.map((type, i) =>
+      EnemyCreator.spawnMany(game, AM, tileMap, camera, player, [
+        { type, count: LevelSetup.KEY_GUARD_COUNTS[i] }
+      ])
+    );
+
+    packs.forEach((pack, i) => {
+      for (const e of pack) {
+        e.asleep = true;
+        const s = LevelSetup.findSpawnNear(game.rng, tileMap, points[i], LevelSetup.GUARD_SPAWN_RADIUS);
+        e.x = s.x;
+        e.y = s.y;
+      }
+    });
+
+    const keys = points.map((p, i) => {
+      const key = new KeyPickup(game, AM, camera, player, p.x, p.y, {
+        size: 18,
+        radius: 20,
+        guardEnemies: packs[i],
+        wakeRadius: LevelSetup.GUARD_WAKE_RADIUS
+      });
+      key._keyName = "key" + (i + 1);
+      return key;
+    });
+
+    return { enemies: packs.flat(), keys };
+  }
+}
@@ -0,0 +1,72 @@
+// game/menu_nav.js
+// MenuNavigator: D-pad / stick / arrow-key navigation for the DOM overlays (index.html)
+// - Works on the topmost visible overlay from a priority list (main.js passes the ids)
+// - move_* pressed edges move focus between that overlay's buttons; "confirm" (pad A) clicks the focused one
+// - "cancel" (Esc / pad B) clicks the overlay's [data-nav-back] button
+// - Called from the update() of the menu scenes in main.js (engine/input.js provides the actions)
+
+class MenuNavigator {
+  constructor(game, overlayIds) {
+    this.game = game;
+    this.overlayIds = overlayIds;
+  }
+
+  static isVisible(el) {
+    return !!el && !el.classList.contains("hidden") && (el.offsetWidth > 0 || el.offsetHeight > 0);
+  }
+
+  // First visible overlay in priority order (overlays stack by z-index, so order matters)
+  activeOverlay() {
+    for (const id of this.overlayIds) {
+      const el = document.getElementById(id);
+      if (MenuNavigator.isVisible(el)) return el;
+    }
+    return null;
+  }
+
+  buttons(overlay) {
+    return Array.from(overlay.querySelectorAll("button")).filter(
+      (btn) => !btn.disabled && MenuNavigator.isVisible(btn)
+    );
+  }
+
+  // .nav-focus draws the ring even when the browser wouldn't show :focus-visible for a scripted focus
+  focus(btn) {
+    btn.classList.add("nav-focus");
+    btn.addEventListener("blur", () => btn.classList.remove("nav-focus"), { once: true });
+    btn.focus();
+  }
+
+  update() {
+    const input = this.game.input;
+    const overlay = this.activeOverlay();
+    if (!overlay) return;
+
+    const buttons = this.buttons(overlay);
+    if (buttons.length === 0) return;
+
+    const current = buttons.indexOf(document.activeElement);
+
+    let step = 0;
+    if (input.wasPressed("move_up") || input.wasPressed("move_left")) step = -1;
+    if (input.wasPressed("move_down") || input.wasPressed("move_right")) step = 1;
+
+    // Nothing is focused until the first navigation press (keeps Space/Enter from hitting a button by surprise)
+    if (step !== 0) {
+      const next = current === -1 ? 0 : (current + step + buttons.length) % buttons.length;
+      this.focus(buttons[next]);
+      return;
+    }
+
+    if (input.wasPressed("confirm")) {
+      if (current === -1) this.focus(buttons[0]);
+      else buttons[current].click();
+      return;
+    }
+
+    if (input.wasPressed("cancel")) {
+      const back = overlay.querySelector("[data-nav-back]");
+      if (MenuNavigator.isVisible(back)) back.click();
+    }
+  }
+}
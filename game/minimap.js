@@ -4,8 +4,12 @@
 // - Pre-renders a tiny map overview once per map load (fast each frame)
 // - Draws live markers for player, keys, and exit
 // - Optional camera viewport rectangle
+// - Sized and placed in view pixels, so it shrinks with small views and rebuilds on window resize
 
 class Minimap {
+  // Largest share of the view (each axis) the panel may cover
+  static MAX_VIEW_SHARE = 0.28;
+
   constructor(game, tileMap, camera, player) {
     // New Code
     this.game = game;
@@ -14,7 +18,6 @@ class Minimap {
     this.player = player;
 
     this.visible = true;
-    this.toggleHeld = false;
 
     // Keep it compact in the top-left
     this.padding = 10;
@@ -29,6 +32,8 @@ class Minimap {
     this._mapRef = null;
     this._worldW = 0;
     this._worldH = 0;
+    this._viewW = 0;
+    this._viewH = 0;
 
     this.buildBackground();
   }
@@ -45,7 +50,13 @@ class Minimap {
 
     if (!worldW || !worldH) return;
 
-    const scale = Math.min(this.maxW / worldW, this.maxH / worldH);
+    // Cap by the view too (camera view size, see engine/viewport.js)
+    const viewW = this.camera?.viewW || Infinity;
+    const viewH = this.camera?.viewH || Infinity;
+    const maxW = Math.min(this.maxW, viewW * Minimap.MAX_VIEW_SHARE);
+    const maxH = Math.min(this.maxH, viewH * Minimap.MAX_VIEW_SHARE);
+
+    const scale = Math.min(maxW / worldW, maxH / worldH);
     this.scale = Math.max(0.05, Math.min(scale, 1));
 
     const w = Math.max(1, Math.floor(worldW * this.scale));
@@ -112,23 +123,23 @@ class Minimap {
     this._mapRef = this.map._map;
     this._worldW = worldW;
     this._worldH = worldH;
+    this._viewW = this.camera?.viewW || 0;
+    this._viewH = this.camera?.viewH || 0;
   }
 
   // New Code
-  // Toggle visibility with "M", and rebuild background if map changed.
+  // Toggle visibility with the "toggle_map" action (M), and rebuild background if map or view size changed.
   update() {
-    const keys = this.game.keys || {};
-    const mDown = keys["m"] || keys["M"];
-    if (mDown && !this.toggleHeld) {
+    if (this.game.input.wasPressed("toggle_map")) {
       this.visible = !this.visible;
     }
-    this.toggleHeld = !!mDown;
 
     if (
       this.map &&
       (this.map._map !== this._mapRef ||
         this.map.WORLD_W !== this._worldW ||
-        this.map.WORLD_H !== this._worldH)
+        this.map.WORLD_H !== this._worldH ||
+        (this.camera && (this.camera.viewW !== this._viewW || this.camera.viewH !== this._viewH)))
     ) {
       this.buildBackground();
     }
@@ -196,9 +207,9 @@ class Minimap {
     }
 
     // Camera viewport rectangle (thin white outline)
-    if (this.camera && this.game?.ctx?.canvas) {
-      const vw = this.game.ctx.canvas.width * scale;
-      const vh = this.game.ctx.canvas.height * scale;
+    if (this.camera) {
+      const vw = this.camera.viewW * scale;
+      const vh = this.camera.viewH * scale;
       const vx = ox + this.camera.renderX * scale;
       const vy = oy + this.camera.renderY * scale;
 
@@ -3,6 +3,7 @@
 // - Spawns at npc_spawn (boss level)
 // - Idle animation loop
 // - Shows interaction hint and opens dialogue on E
+// - While talking, a "Dialogue" scene sits on top of Gameplay and drives the dialogue input
 
 class NPC {
   constructor(game, assetManager, tileMap, camera, player, x, y) {
@@ -30,8 +31,6 @@ class NPC {
     this.playerInRange = false;
     this.isTalking = false;
     this.dialogueIndex = 0;
-    this.eHeld = false;
-    this.escHeld = false;
 
     // Dialogue content (line-by-line)
     this.dialogueLines = [
@@ -47,11 +46,38 @@ class NPC {
     ];
 
     // Dialogue overlay references (from index.html)
-    this.dialogueOverlay = document.getElementById("npcDialogueOverlay");
-    this.dialogueText = document.getElementById("npcDialogueText");
-
-    // NPC Interaction Fix: NPC controls its own dialogue flow
-    this.game.npcDialogueManaged = true;
+    this.dialogueOverlay = getElementById("npcDialogueOverlay");
+    this.dialogueText = getElementById("npcDialogueText");
+    this.dialogueHint = getElementById("npcCloseHint");
+
+    // Tapping / clicking the dialogue box advances it (touch devices have no E key);
+    // a UI command so replays repeat the click
+    game.registerCommand("dialogue:advance", () => this.advanceDialogue());
+    this.onDialogueTap = () => this.game.command("dialogue:advance");
+
+    // Scene pushed while talking: freezes the world and routes input to updateDialogue()
+    this.dialogueScene = new Scene("Dialogue", {
+      update: () => this.updateDialogue(),
+      onEnter: () => {
+        if (this.dialogueHint) {
+          const input = this.game.input;
+          this.dialogueHint.textContent =
+            `(Press ${input.primaryKeyLabel("interact")} or ${input.primaryKeyLabel("cancel")} to continue)`;
+        }
+        if (this.dialogueOverlay) {
+          this.dialogueOverlay.style.display = "flex";
+          this.dialogueOverlay.classList.add("open");
+          this.dialogueOverlay.addEventListener("click", this.onDialogueTap);
+        }
+      },
+      onExit: () => {
+        if (this.dialogueOverlay) {
+          this.dialogueOverlay.removeEventListener("click", this.onDialogueTap);
+          this.dialogueOverlay.classList.remove("open");
+          this.dialogueOverlay.style.display = "none";
+        }
+      }
+    });
   }
 
   // Dialogue State Control
@@ -59,15 +85,13 @@ class NPC {
     if (this.isTalking) return;
     this.isTalking = true;
     this.dialogueIndex = 0;
-    this.game.npcDialogueOpen = true;
 
-    // Pause player movement (player.js checks game.npcDialogueOpen)
-    if (this.player) this.player.canMove = false;
-
-    if (this.dialogueOverlay) {
-      this.dialogueOverlay.style.display = "flex";
-      this.dialogueOverlay.classList.add("open");
+    if (this.game.contextHintSource === "npc") {
+      this.game.contextHint = "";
+      this.game.contextHintSource = "";
     }
+
+    this.game.pushScene(this.dialogueScene);
     this.updateDialogueText();
   }
 
@@ -80,15 +104,9 @@ class NPC {
   closeDialogue() {
     this.isTalking = false;
     this.dialogueIndex = 0;
-    this.game.npcDialogueOpen = false;
     this.game.npcTalked = true;
 
-    if (this.player) this.player.canMove = true;
-
-    if (this.dialogueOverlay) {
-      this.dialogueOverlay.classList.remove("open");
-      this.dialogueOverlay.style.display = "none";
-    }
+    this.game.popScene("Dialogue");
   }
 
   advanceDialogue() {
@@ -115,43 +133,30 @@ class NPC {
     const near = dist <= this.interactRadius;
     this.playerInRange = near;
 
-    if (!this.game.shopOpen && !this.game.npcDialogueOpen) {
-      if (near) {
-        this.game.contextHint = "Press E to talk";
-        this.game.contextHintSource = "npc";
-      } else if (this.game.contextHintSource === "npc") {
-        this.game.contextHint = "";
-        this.game.contextHintSource = "";
-      } else if (this.game.npcTalked && !this.game.contextHint) {
-        this.game.contextHint = "Visit the shop to prepare for the arena.";
-        this.game.contextHintSource = "npc_guidance";
-      }
+    if (near) {
+      this.game.contextHint = `Press ${this.game.input.primaryKeyLabel("interact")} to talk`;
+      this.game.contextHintSource = "npc";
     } else if (this.game.contextHintSource === "npc") {
       this.game.contextHint = "";
       this.game.contextHintSource = "";
+    } else if (this.game.npcTalked && !this.game.contextHint) {
+      this.game.contextHint = "Visit the shop to prepare for the arena.";
+      this.game.contextHintSource = "npc_guidance";
     }
 
-    const keys = this.game.keys || {};
-    const eDown = keys["e"] || keys["E"];
-    const escDown = keys["Escape"] || keys["Esc"];
-
-    // Input Debounce
-    const ePressed = eDown && !this.eHeld;
-    const escPressed = escDown && !this.escHeld;
-
-    // Start dialogue
-    if (near && ePressed && !this.isTalking && !this.game.shopOpen) {
+    // Start dialogue (the Dialogue scene takes over input from here)
+    if (near && this.game.input.wasPressed("interact") && !this.isTalking) {
       this.openDialogue();
     }
+  }
 
-    // Advance / Close dialogue
-    if (this.isTalking) {
-      if (ePressed) this.advanceDialogue();
-      if (escPressed) this.closeDialogue();
-    }
+  // Runs from the Dialogue scene while the world is frozen
+  updateDialogue() {
+    const input = this.game.input;
 
-    this.eHeld = !!eDown;
-    this.escHeld = !!escDown;
+    // Advance / Close dialogue
+    if (input.wasPressed("interact") || input.wasPressed("confirm")) this.advanceDialogue();
+    if (input.wasPressed("cancel") && this.isTalking) this.closeDialogue();
   }
 
   draw(ctx) {
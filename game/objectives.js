@@ -14,7 +14,7 @@ class ObjectiveManager {
       this.steps = [
         {
           // 0
-          text: () => `Objective: Read the scroll (Press E near it)`,
+          text: () => `Objective: Read the scroll (Press ${this.game.input.primaryKeyLabel("interact")} near it)`,
           isComplete: () => this.game.storyRead === true
         },
         {
@@ -37,21 +37,17 @@ class ObjectiveManager {
         {
           // 3
           text: () => `Objective: Complete!`,
-          isComplete: () => this.game.win === true
+          isComplete: () => this.game.hasScene("Win") || this.game.hasScene("Ending")
         }
       ];
     }
   
+    // Kept current by LevelProgress (game/level_progress.js) enemy:spawned / enemy:died listeners (no entity scan)
     _enemiesLeft() {
-      return (this.game.entities || []).filter(ent =>
-        ent && ent.tag === "enemy" && !ent.removeFromWorld
-      ).length;
+      return this.game.levelStats?.enemiesLeft ?? 0;
     }
   
     update() {
-      // If game ended, don't churn objectives
-      if (this.game.gameOver) return;
-  
       while (this.index < this.steps.length - 1 && this.steps[this.index].isComplete()) {
         this.index++;
       }
@@ -1,23 +1,63 @@
 // game/player.js
 // Player entity:
-// - Moves + collides against TileMap (tilemap.js)
-// - Attack 1 + Attack 2 hit Enemy entities (enemy.js)
+// - Moves + collides against TileMap (tilemap.js), sliding along walls and shorelines (TileMap.moveCircle)
+// - Attack 1 + Attack 2 hit Enemy entities (enemy.js) found via game.queryRadius
 // - Health/i-frames/knockback; death calls game.triggerGameOver() (main.js)
-// - Input uses game.keys (engine/gameengine.js)
+// - Input uses game.input actions (engine/input.js)
 // - Camera follow uses Camera (camera.js)
-// - Pauses when story modal is open (scroll.js sets game.storyModalOpen)
+// - Freezes automatically while an overlay scene (story/shop/dialogue) is on top of Gameplay
 
 class Player {
+  // Animations (static so AssetManifest can list the sheets without building a Player)
+  static ANIM = {
+    idle: {
+      up:    { path: "assets/images/player_idle/idle_up.png",    frames: 8, fw: 96, fh: 80, ft: 0.12 },
+      down:  { path: "assets/images/player_idle/idle_down.png",  frames: 8, fw: 96, fh: 80, ft: 0.12 },
+      left:  { path: "assets/images/player_idle/idle_left.png",  frames: 8, fw: 96, fh: 80, ft: 0.12 },
+      right: { path: "assets/images/player_idle/idle_right.png", frames: 8, fw: 96, fh: 80, ft: 0.12 },
+    },
+
+    walk: {
+      up:    { path: "assets/images/player_run/run_up.png",    frames: 8, fw: 96, fh: 80, ft: 0.09 },
+      down:  { path: "assets/images/player_run/run_down.png",  frames: 8, fw: 96, fh: 80, ft: 0.09 },
+      left:  { path: "assets/images/player_run/run_left.png",  frames: 8, fw: 96, fh: 80, ft: 0.09 },
+      right: { path: "assets/images/player_run/run_right.png", frames: 8, fw: 96, fh: 80, ft: 0.09 },
+    },
+
+    attack: {
+      up:    { path: "assets/images/player_attack/attack1_up.png",    frames: 8, fw: 96, fh: 80, ft: 0.07 },
+      down:  { path: "assets/images/player_attack/attack1_down.png",  frames: 8, fw: 96, fh: 80, ft: 0.07 },
+      left:  { path: "assets/images/player_attack/attack1_left.png",  frames: 8, fw: 96, fh: 80, ft: 0.07 },
+      right: { path: "assets/images/player_attack/attack1_right.png", frames: 8, fw: 96, fh: 80, ft: 0.07 },
+    },
+
+    attack2: {
+      up:    { path: "assets/images/player_attack2/attack2_up.png",    frames: 8, fw: 96, fh: 80, ft: 0.045 },
+      down:  { path: "assets/images/player_attack2/attack2_down.png",  frames: 8, fw: 96, fh: 80, ft: 0.045 },
+      left:  { path: "assets/images/player_attack2/attack2_left.png",  frames: 8, fw: 96, fh: 80, ft: 0.045 },
+      right: { path: "assets/images/player_attack2/attack2_right.png", frames: 8, fw: 96, fh: 80, ft: 0.045 },
+    }
+  };
+
   constructor(game, assetManager, tileMap, camera) {
     this.game = game;
     this.AM = assetManager;
     this.map = tileMap;
     this.camera = camera;
 
+    // Lets pickups / projectiles find the player with game.queryRadius(..., "player")
+    this.tag = "player";
 
-    // Tuning
+
+    // Tuning (speeds are world px per second; movement is scaled by game.clockTick)
     this.DRAW_SIZE = 128;
-    this.SPEED = 3;
+    this.SPEED = 180;
+
+    // World freeze when Attack 1 lands (GameEngine.hitStop)
+    this.HIT_STOP = 0.06;
+
+    // Attack queries search by enemy center; pad past the largest enemy box (boss, 46px) so edge hits still count
+    this.HIT_QUERY_PAD = 40;
 
 
     // Cooldowns
@@ -50,13 +90,11 @@ class Player {
 
     // Combat state (Attack 1)
     this.attacking = false;
-    this.attackHeld = false;
     this.attackDidHit = false;
 
 
     // Combat state (Attack 2 AoE)
     this.attacking2 = false;
-    this.attack2Held = false; // kept as-is
     this.attack2DidHit = false;
     this.attack2HitSet = new Set();
 
@@ -76,69 +114,60 @@ class Player {
     this.knockVY = 0;
 
     this.IFRAMES = 0.6;
-    this.KNOCK = 6.0;
-    this.KNOCK_DAMP = 0.75;
-
-
-    // Animations (assets queued in main.js)
-    this.ANIM = {
-      idle: {
-        up:    { path: "assets/images/player_idle/idle_up.png",    frames: 8, fw: 96, fh: 80, ft: 0.12 },
-        down:  { path: "assets/images/player_idle/idle_down.png",  frames: 8, fw: 96, fh: 80, ft: 0.12 },
-        left:  { path: "assets/images/player_idle/idle_left.png",  frames: 8, fw: 96, fh: 80, ft: 0.12 },
-        right: { path: "assets/images/player_idle/idle_right.png", frames: 8, fw: 96, fh: 80, ft: 0.12 },
-      },
-
-      walk: {
-        up:    { path: "assets/images/player_run/run_up.png",    frames: 8, fw: 96, fh: 80, ft: 0.09 },
-        down:  { path: "assets/images/player_run/run_down.png",  frames: 8, fw: 96, fh: 80, ft: 0.09 },
-        left:  { path: "assets/images/player_run/run_left.png",  frames: 8, fw: 96, fh: 80, ft: 0.09 },
-        right: { path: "assets/images/player_run/run_right.png", frames: 8, fw: 96, fh: 80, ft: 0.09 },
-      },
-
-      attack: {
-        up:    { path: "assets/images/player_attack/attack1_up.png",    frames: 8, fw: 96, fh: 80, ft: 0.07 },
-        down:  { path: "assets/images/player_attack/attack1_down.png",  frames: 8, fw: 96, fh: 80, ft: 0.07 },
-        left:  { path: "assets/images/player_attack/attack1_left.png",  frames: 8, fw: 96, fh: 80, ft: 0.07 },
-        right: { path: "assets/images/player_attack/attack1_right.png", frames: 8, fw: 96, fh: 80, ft: 0.07 },
-      },
-
-      attack2: {
-        up:    { path: "assets/images/player_attack2/attack2_up.png",    frames: 8, fw: 96, fh: 80, ft: 0.045 },
-        down:  { path: "assets/images/player_attack2/attack2_down.png",  frames: 8, fw: 96, fh: 80, ft: 0.045 },
-        left:  { path: "assets/images/player_attack2/attack2_left.png",  frames: 8, fw: 96, fh: 80, ft: 0.045 },
-        right: { path: "assets/images/player_attack2/attack2_right.png", frames: 8, fw: 96, fh: 80, ft: 0.045 },
-      }
-    };
+    this.KNOCK = 360;       // initial knockback speed (px/s)
+    this.KNOCK_DAMP = 0.75; // fraction of knockback speed kept every 1/60s
+
+
+    // Animations (shared table above; downloaded via AssetManifest.core)
+    this.ANIM = Player.ANIM;
 
     this.animElapsed = 0;
     this.animKey = "idle_down";
   }
 
 
+  // Save / continue (save_game.js): position + the stats shop upgrades change
+  toSave() {
+    return {
+      x: this.x,
+      y: this.y,
+      dir: this.dir,
+      hp: this.hp,
+      maxHp: this.maxHp,
+      attackDamage: this.attackDamage,
+      SPEED: this.SPEED
+    };
+  }
+
+  loadSave(s) {
+    this.x = s.x;
+    this.y = s.y;
+    this.dir = s.dir || this.dir;
+    this.maxHp = s.maxHp;
+    this.hp = Math.min(s.hp, this.maxHp);
+    this.attackDamage = s.attackDamage;
+    this.SPEED = s.SPEED;
+    this.animKey = `idle_${this.dir}`;
+  }
+
+
   // Utilities
   clamp(v, min, max) {
     return Math.max(min, Math.min(max, v));
   }
 
 
-  // Collision helpers (TileMap.isBlockedAtWorld)
+  // Collision helpers (TileMap.moveCircle)
   getFeetPointAt(x, y) {
     return { fx: x, fy: y + this.FOOT_OFFSET_Y };
   }
 
-  canStandAt(x, y) {
-    const { fx, fy } = this.getFeetPointAt(x, y);
-    const r = this.FOOT_RADIUS;
-
-    const blocked =
-      this.map.isBlockedAtWorld(fx, fy) ||
-      this.map.isBlockedAtWorld(fx - r, fy) ||
-      this.map.isBlockedAtWorld(fx + r, fy) ||
-      this.map.isBlockedAtWorld(fx, fy - r) ||
-      this.map.isBlockedAtWorld(fx, fy + r);
-
-    return !blocked;
+  // Moves by (dx,dy); the feet circle slides along walls and diagonal shorelines instead of stopping
+  moveBy(dx, dy) {
+    const { fx, fy } = this.getFeetPointAt(this.x, this.y);
+    const moved = this.map.moveCircle(fx, fy, dx, dy, this.FOOT_RADIUS);
+    this.x += moved.x - fx;
+    this.y += moved.y - fy;
   }
 
 
@@ -146,8 +175,10 @@ class Player {
   takeDamage(amount, fromX = null, fromY = null) {
     if (this.isDead || this.hp <= 0) return;
     if (this.hurtInvuln > 0) return;
+    if (this.game.godMode) return; // dev console "god"
 
     this.hp = Math.max(0, this.hp - amount);
+    this.game.emit("player:damaged", { amount, hp: this.hp, fromX, fromY });
 
     this.hurtInvuln = this.IFRAMES;
     this.flashTimer = this.IFRAMES;
@@ -233,8 +264,7 @@ class Player {
 
     const atk = this.getAttackCircle();
 
-    for (const ent of this.game.entities) {
-      if (!ent || ent.tag !== "enemy") continue;
+    for (const ent of this.game.queryRadius(atk.cx, atk.cy, atk.r + this.HIT_QUERY_PAD, "enemy")) {
       if (typeof ent.getCollisionAABBAt !== "function") continue;
 
       const b = ent.getCollisionAABBAt(ent.x, ent.y);
@@ -244,6 +274,7 @@ class Player {
         ent.takeDamage?.(this.attackDamage);
         this.attackCooldown = this.attackCooldownTime;
         this.attackDidHit = true;
+        this.game.hitStop(this.HIT_STOP);
         return;
       }
     }
@@ -254,8 +285,7 @@ class Player {
   tryHitEnemiesSplash() {
     const aoe = this.getSplashCircle();
 
-    for (const ent of this.game.entities) {
-      if (!ent || ent.tag !== "enemy") continue;
+    for (const ent of this.game.queryRadius(aoe.cx, aoe.cy, aoe.r + this.HIT_QUERY_PAD, "enemy")) {
       if (typeof ent.getCollisionAABBAt !== "function") continue;
       if (this.attack2HitSet.has(ent)) continue;
 
@@ -297,9 +327,7 @@ class Player {
 
     // New Code
     // Play slash sound once when Y attack starts
-    const slash = new Audio("assets/sounds/sword_slash.mp3");
-    slash.volume = 0.6;
-    slash.play().catch(() => {});
+    this.AM.playAudio("assets/sounds/sword_slash.mp3", { volume: 0.6 });
   }
 
   getAnimKey() {
@@ -311,59 +339,46 @@ class Player {
 
 
   // Update loop
-  // Input comes from game.keys (engine/gameengine.js)
+  // Input comes from game.input actions (engine/input.js)
   update() {
     const dt = this.game.clockTick || 1 / 60;
 
-    // Managed by ScrollStoryPickup (scroll.js), shop, and NPC dialogue (main.js)
-    if (this.game.storyModalOpen || this.game.shopOpen || this.game.npcDialogueOpen) {
-      this.camera.follow(this.x, this.y);
-      return;
-    }
-
     if (this.attackCooldown > 0) this.attackCooldown = Math.max(0, this.attackCooldown - dt);
     if (this.attack2Cooldown > 0) this.attack2Cooldown = Math.max(0, this.attack2Cooldown - dt);
 
-    if (this.isDead || this.game.gameOver || this.game.win) return;
+    if (this.isDead) return;
 
-    const keys = this.game.keys || {};
+    const input = this.game.input;
 
     if (this.hurtInvuln > 0) this.hurtInvuln = Math.max(0, this.hurtInvuln - dt);
     if (this.flashTimer > 0) this.flashTimer = Math.max(0, this.flashTimer - dt);
 
 
     // Knockback (blocked by TileMap collision)
-    if (Math.abs(this.knockVX) > 0.01 || Math.abs(this.knockVY) > 0.01) {
-      const tryX = this.x + this.knockVX;
-      if (this.canStandAt(tryX, this.y)) this.x = tryX;
+    if (Math.abs(this.knockVX) > 0.6 || Math.abs(this.knockVY) > 0.6) {
+      this.moveBy(this.knockVX * dt, this.knockVY * dt);
 
-      const tryY = this.y + this.knockVY;
-      if (this.canStandAt(this.x, tryY)) this.y = tryY;
-
-      this.knockVX *= this.KNOCK_DAMP;
-      this.knockVY *= this.KNOCK_DAMP;
+      const damp = Math.pow(this.KNOCK_DAMP, dt * 60);
+      this.knockVX *= damp;
+      this.knockVY *= damp;
     }
 
 
-    // Attack input
-    const atk1 = keys[" "] || keys["Space"] || keys["Spacebar"];
-    const atk2 = keys["y"] || keys["Y"];
+    // Attack input (pressed edges come from InputManager)
+    const atk1 = input.wasPressed("attack");
+    const atk2 = input.wasPressed("special");
 
-    if (atk2 && !this.attack2Held && !this.attacking && !this.attacking2 && this.attack2Cooldown === 0) {
+    if (atk2 && !this.attacking && !this.attacking2 && this.attack2Cooldown === 0) {
       this.startAttack2();
     }
 
-    if (atk1 && !this.attackHeld && !this.attacking && !this.attacking2) {
+    if (atk1 && !this.attacking && !this.attacking2) {
       this.startAttack();
 
-      // Play sword slash sound on attack start (new Audio each time for rapid triggers)
-      const slash = new Audio("assets/sounds/sword_slash.mp3");
-      slash.volume = 0.6;
-      slash.play().catch(() => {});
+      // Play sword slash sound on attack start (each call is a new voice, so rapid triggers overlap)
+      this.AM.playAudio("assets/sounds/sword_slash.mp3", { volume: 0.6 });
     }
 
-    this.attackHeld = !!atk1;
-
 
     // Attack 1 animation state
     if (this.attacking) {
@@ -421,19 +436,10 @@ class Player {
     }
 
 
-    // Movement input
-    const up = keys["w"] || keys["W"] || keys["ArrowUp"];
-    const down = keys["s"] || keys["S"] || keys["ArrowDown"];
-    const left = keys["a"] || keys["A"] || keys["ArrowLeft"];
-    const right = keys["d"] || keys["D"] || keys["ArrowRight"];
-
-    let dx = 0;
-    let dy = 0;
-
-    if (up) dy -= 1;
-    if (down) dy += 1;
-    if (left) dx -= 1;
-    if (right) dx += 1;
+    // Movement input (length 0..1: analog stick keeps its magnitude, keys/D-pad are full speed)
+    const move = input.getMoveVector();
+    const dx = move.x;
+    const dy = move.y;
 
     this.moving = dx !== 0 || dy !== 0;
 
@@ -442,24 +448,10 @@ class Player {
       else this.dir = dy > 0 ? "down" : "up";
     }
 
-    if (dx !== 0 && dy !== 0) {
-      const inv = 1 / Math.sqrt(2);
-      dx *= inv;
-      dy *= inv;
-    }
-
-    const stepX = dx * this.SPEED;
-    const stepY = dy * this.SPEED;
+    const stepX = dx * this.SPEED * dt;
+    const stepY = dy * this.SPEED * dt;
 
-    if (stepX !== 0) {
-      const tryX = this.x + stepX;
-      if (this.canStandAt(tryX, this.y)) this.x = tryX;
-    }
-
-    if (stepY !== 0) {
-      const tryY = this.y + stepY;
-      if (this.canStandAt(this.x, tryY)) this.y = tryY;
-    }
+    if (stepX !== 0 || stepY !== 0) this.moveBy(stepX, stepY);
 
 
     // World bounds (TileMap provides WORLD_W/WORLD_H)
@@ -486,8 +478,10 @@ class Player {
     const camX = this.camera.renderX;
     const camY = this.camera.renderY;
 
-    const screenX = this.x - camX;
-    const screenY = this.y - camY;
+    // Interpolated between simulation ticks (GameEngine.renderPosition)
+    const pos = this.game.renderPosition(this);
+    const screenX = pos.x - camX;
+    const screenY = pos.y - camY;
 
     const drawX = screenX - this.DRAW_SIZE / 2;
     const drawY = screenY - this.DRAW_SIZE / 2;
@@ -2,17 +2,12 @@
 // EnemyProjectile:
 // - Spawned by dragon (EnemyCreator.onAttackFrame in enemy_creator.js)
 // - Moves in a straight line toward initial direction
-// - Collides with TileMap walls (tilemap.js)
+// - Collides with TileMap walls (tilemap.js), swept along each step so it never tunnels through one
 // - Damages Player (player.js)
-// - Uses a late-draw queue so it renders on top of map/entities
-//   without changing entity order in main.js
+// - Draws on the "effects" render layer (engine/gameengine.js) so it stays above map/entities
 
 class EnemyProjectile {
 
-  // Static queue so all projectiles render AFTER normal entity drawing
-  static LATE_DRAW = [];
-  static _installed = false;
-
   constructor(game, assetManager, tileMap, camera, player, x, y, vx, vy, opts = {}) {
     // Shared systems
     this.game = game;
@@ -34,7 +29,7 @@ class EnemyProjectile {
     this.angle = Math.atan2(this.vy, this.vx) + Math.PI;
 
     // Projectile tuning (can be overridden per enemy type)
-    this.speed = opts.speed ?? 6.0;
+    this.speed = opts.speed ?? 360; // px per second
     this.damage = opts.damage ?? 1;
     this.life = opts.life ?? 2.2;
     this.radius = opts.radius ?? 14;
@@ -43,30 +38,18 @@ class EnemyProjectile {
     this.tag = "enemy_projectile";
     this.removeFromWorld = false;
 
-    // Install late-draw hook ONCE (patches GameEngine.draw)
-    // Ensures projectiles draw after map + entities.
-    if (!EnemyProjectile._installed) {
-      EnemyProjectile._installed = true;
-
-      const originalDraw = this.game.draw.bind(this.game);
-      this.game.draw = () => {
-        // Normal engine draw (map + entities)
-        originalDraw();
-
-        // Then draw all queued projectile renders
-        const queue = EnemyProjectile.LATE_DRAW;
-        EnemyProjectile.LATE_DRAW = [];
-        for (const fn of queue) fn();
-      };
-    }
+    // Render above the y-sorted world layer
+    this.layer = "effects";
   }
 
   update() {
     const dt = this.game.clockTick || 1 / 60;
 
     // Straight-line movement
-    this.x += this.vx * this.speed;
-    this.y += this.vy * this.speed;
+    const prevX = this.x;
+    const prevY = this.y;
+    this.x += this.vx * this.speed * dt;
+    this.y += this.vy * this.speed * dt;
 
     // Lifetime expiration
     this.life -= dt;
@@ -83,19 +66,18 @@ class EnemyProjectile {
         return;
       }
 
-      if (this.map._pointHitsSolidCollider(this.x, this.y)) {
+      // Sweep the whole step, so a fast shot can't skip over a thin or diagonal wall between frames
+      if (this.map.sweepCircle(prevX, prevY, this.x, this.y, 0, { tiles: false }) ||
+          this.map._pointHitsSolidCollider(this.x, this.y)) {
         this.removeFromWorld = true;
         return;
       }
     }
 
     // Player collision (uses distance + small padding)
-    const dx = this.player.x - this.x;
-    const dy = this.player.y - this.y;
-    const dist = Math.hypot(dx, dy);
-
-    if (dist <= this.radius + 18) {
-      this.player.takeDamage?.(this.damage, this.x, this.y);
+    const [hit] = this.game.queryRadius(this.x, this.y, this.radius + 18, "player");
+    if (hit) {
+      hit.takeDamage?.(this.damage, this.x, this.y);
       this.removeFromWorld = true;
     }
   }
@@ -104,36 +86,34 @@ class EnemyProjectile {
     const camX = this.camera.renderX;
     const camY = this.camera.renderY;
 
-    const sx = this.x - camX;
-    const sy = this.y - camY;
+    const pos = this.game.renderPosition(this);
+    const sx = pos.x - camX;
+    const sy = pos.y - camY;
+
+    const img = this.AM.getAsset(this.imgPath);
+    if (!img) return;
 
-    // Queue drawing so it happens after the engine finishes normal draw
-    EnemyProjectile.LATE_DRAW.push(() => {
-      const img = this.AM.getAsset(this.imgPath);
-      if (!img) return;
+    const SCALE = 1.1;
+    const w = img.width * SCALE;
+    const h = img.height * SCALE;
 
-      const SCALE = 1.1;
-      const w = img.width * SCALE;
-      const h = img.height * SCALE;
+    ctx.imageSmoothingEnabled = false;
 
-      ctx.imageSmoothingEnabled = false;
+    ctx.save();
+    ctx.translate(sx, sy);
+    ctx.rotate(this.angle);
+    ctx.drawImage(img, -w / 2, -h / 2, w, h);
+    ctx.restore();
 
+    // Optional debug visualization
+    if (this.game.debug) {
       ctx.save();
-      ctx.translate(sx, sy);
-      ctx.rotate(this.angle);
-      ctx.drawImage(img, -w / 2, -h / 2, w, h);
+      ctx.strokeStyle = "yellow";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(sx, sy, this.radius, 0, Math.PI * 2);
+      ctx.stroke();
       ctx.restore();
-
-      // Optional debug visualization
-      if (this.game.debug) {
-        ctx.save();
-        ctx.strokeStyle = "yellow";
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.arc(sx, sy, this.radius, 0, Math.PI * 2);
-        ctx.stroke();
-        ctx.restore();
-      }
-    });
+    }
   }
 }
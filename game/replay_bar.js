@@ -0,0 +1,100 @@
+// game/replay_bar.js
+// ReplayBar (DOM-based playback controls while watching a replay; markup in index.html):
+// - Buttons + keys drive game.replay (engine/replay.js): Space/P play-pause, N or . single step,
+//   F fast-forward (1x / 2x / 4x / 8x), C camera follow / free, arrows pan the free camera, Esc exit
+// - Game input comes from the file during playback, so these keys never reach the player
+// - Status line shows tick / total, speed and a desync warning if the sync checks stop matching
+// Created once in main.js when the page boots into replay mode; not an entity (it runs on its own frame loop).
+
+class ReplayBar {
+  static PAN_KEYS = {
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1],
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0]
+  };
+
+  constructor(game, { onExit } = {}) {
+    this.game = game;
+    this.onExit = onExit || null;
+
+    // DOM references (must exist in index.html)
+    this.root = document.getElementById("replayBar");
+    this.statusEl = document.getElementById("replayStatus");
+
+    // Arrow keys currently held (free camera pan)
+    this.panKeys = new Set();
+    this.lastFrame = 0;
+
+    if (!this.root) return;
+    this.root.classList.remove("hidden");
+
+    this.root.querySelectorAll(".replay-btn[data-replay]").forEach((btn) => {
+      btn.addEventListener("click", () => this.run(btn.dataset.replay));
+    });
+
+    window.addEventListener("keydown", (e) => this.onKeyDown(e), true);
+    window.addEventListener("keyup", (e) => this.panKeys.delete(e.key), true);
+    window.addEventListener("blur", () => this.panKeys.clear());
+
+    requestAnimationFrame((t) => this.frame(t));
+  }
+
+  run(control) {
+    const replay = this.game.replay;
+    if (!replay) return;
+
+    if (control === "pause") replay.togglePause();
+    if (control === "step") replay.step();
+    if (control === "speed") replay.cycleSpeed();
+    if (control === "camera") replay.setFreeCamera(!replay.freeCamera);
+    if (control === "exit" && this.onExit) this.onExit();
+  }
+
+  onKeyDown(e) {
+    if (ReplayBar.PAN_KEYS[e.key]) {
+      e.preventDefault();
+      this.panKeys.add(e.key);
+      return;
+    }
+    if (e.repeat) return;
+
+    const key = InputManager.normalizeKey(e.key);
+    const controls = { " ": "pause", p: "pause", n: "step", ".": "step", f: "speed", c: "camera", Escape: "exit" };
+    if (!controls[key]) return;
+
+    e.preventDefault();
+    this.run(controls[key]);
+  }
+
+  frame(time) {
+    const dt = this.lastFrame ? Math.min(0.1, (time - this.lastFrame) / 1000) : 0;
+    this.lastFrame = time;
+
+    const replay = this.game.replay;
+    if (replay) {
+      let dx = 0;
+      let dy = 0;
+      for (const key of this.panKeys) {
+        dx += ReplayBar.PAN_KEYS[key][0];
+        dy += ReplayBar.PAN_KEYS[key][1];
+      }
+      replay.panCamera(dx, dy, dt);
+
+      this.renderStatus(replay.status());
+    }
+
+    requestAnimationFrame((t) => this.frame(t));
+  }
+
+  renderStatus({ tick, total, paused, speed, freeCamera, finished, desyncTick }) {
+    if (!this.statusEl) return;
+
+    const state = finished ? "END" : paused ? "PAUSED" : `${speed}x`;
+    const camera = freeCamera ? "FREE CAM" : "FOLLOW";
+    const desync = desyncTick !== null ? ` · DESYNC @ ${desyncTick}` : "";
+
+    this.statusEl.textContent = `REPLAY ${tick} / ${total} · ${state} · ${camera}${desync}`;
+    this.statusEl.classList.toggle("desync", desyncTick !== null);
+  }
+}
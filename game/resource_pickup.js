@@ -1,7 +1,8 @@
 // game/resource_pickup.js
 // Resource pickups dropped by enemies.
-// - CoinPickup: animated sprite sheet, increments game.coinsCollected
-// - HeartPickup: PNG icon, DOM-based glow, heals player by +1 (clamped)
+// - CoinPickup: animated sprite sheet, increments game.coinsCollected, emits coin:collected
+// - HeartPickup: PNG icon, DOM-based glow, heals player by +1 (clamped); the DOM node lives from
+//   onAdded to onRemoved (GameEngine lifecycle hooks), so level switches don't leave hearts behind
 
 class ResourcePickup {
   constructor(game, assetManager, camera, player, x, y, opts = {}) {
@@ -20,11 +21,7 @@ class ResourcePickup {
   }
 
   checkPickup() {
-    const dx = this.player.x - this.x;
-    const dy = this.player.y - this.y;
-    const dist = Math.hypot(dx, dy);
-
-    if (dist <= this.pickupRadius) {
+    if (this.game.queryRadius(this.x, this.y, this.pickupRadius, "player").length > 0) {
       this.onPickup();
     }
   }
@@ -34,7 +31,6 @@ class ResourcePickup {
   }
 
   update() {
-    if (this.game.gameOver || this.game.win) return;
     this.checkPickup();
   }
 
@@ -89,23 +85,19 @@ class CoinPickup extends ResourcePickup {
     if (typeof this.game.coinsCollected !== "number") this.game.coinsCollected = 0;
     const max = this.game.maxCoinsAvailable ?? 17;
     if (this.game.coinsCollected >= max) {
+      // Already at the cap: the coin just disappears
       this.removeFromWorld = true;
+      this.game.emit("coin:collected", { coin: this, total: this.game.coinsCollected, capped: true });
       return;
     }
     this.game.coinsCollected += 1;
 
-    // New Code
-    // Play coin pickup sound (short and subtle)
-    if (typeof this.game.playSound === "function") {
-      this.game.playSound("assets/sounds/coin_pickup.mp3", 0.5);
-    }
-
+    // Pickup sound is played by the coin:collected listener in main.js
     this.removeFromWorld = true;
+    this.game.emit("coin:collected", { coin: this, total: this.game.coinsCollected, capped: false });
   }
 
   update() {
-    if (this.game.gameOver || this.game.win) return;
-
     const dt = this.game.clockTick || 1 / 60;
 
     this.animElapsed += dt;
@@ -156,17 +148,23 @@ class HeartPickup extends ResourcePickup {
 
     this.domEl = null;
     this.domImgEl = null;
+  }
+
+  onAdded() {
     this.buildDom();
   }
 
+  onRemoved() {
+    this.removeDom();
+  }
+
   buildDom() {
-    const container = document.getElementById("gameContainer");
+    // The stage is sized to the canvas (engine/viewport.js), so view pixels map straight onto it
+    const container = getElementById("gameStage");
     if (!container) return;
 
     const wrap = document.createElement("div");
     wrap.className = "pickup-heart pickup-heart-glow";
-    wrap.style.width = `${this.size}px`;
-    wrap.style.height = `${this.size}px`;
 
     const img = document.createElement("img");
     img.src = this.imgPath;
@@ -183,11 +181,15 @@ class HeartPickup extends ResourcePickup {
   syncDom() {
     if (!this.domEl) return;
 
-    const screenX = this.x - this.camera.renderX;
-    const screenY = this.y - this.camera.renderY;
+    // View pixels -> CSS pixels on the stage, which covers exactly the canvas (engine/viewport.js)
+    const viewport = this.game.viewport;
+    const pos = viewport.toCss(this.x - this.camera.renderX, this.y - this.camera.renderY);
+    const size = this.size * viewport.zoom;
 
-    this.domEl.style.left = `${screenX}px`;
-    this.domEl.style.top = `${screenY}px`;
+    this.domEl.style.left = `${pos.x}px`;
+    this.domEl.style.top = `${pos.y}px`;
+    this.domEl.style.width = `${size}px`;
+    this.domEl.style.height = `${size}px`;
   }
 
   removeDom() {
@@ -204,21 +206,11 @@ class HeartPickup extends ResourcePickup {
     this.player.hp = Math.min(this.player.maxHp, this.player.hp + 1);
 
     this.removeFromWorld = true;
-    this.removeDom();
-  }
-
-  update() {
-    if (this.game.gameOver || this.game.win) return;
-
-    this.syncDom();
-    this.checkPickup();
-
-    if (this.removeFromWorld) {
-      this.removeDom();
-    }
   }
 
   draw() {
     // Heart pickup is DOM-based to allow CSS glow.
+    // Position is synced at draw time so it follows the interpolated camera.
+    this.syncDom();
   }
 }
@@ -0,0 +1,131 @@
+// game/save_game.js
+// SaveGame: the in-progress run, kept in localStorage for CONTINUE on the welcome overlay
+// - capture() snapshots the level in play: level index + seed / rng state, coins and key count,
+//   player stats + position, remaining keys and key guards (by spawn index), boss wave enemies,
+//   dropped pickups, story / NPC / arena flags and the boss encounter round
+// - main.js buildLevel(index, save) builds the level as usual (same seed -> same guards and keys),
+//   then apply() trims and patches it to the saved state
+// - Level completion flags (level1Completed / level2Completed) stay separate; this is only the current run
+
+class SaveGame {
+  static STORAGE_KEY = "savedRun";
+  static VERSION = 1;
+
+  // Saved run, or null when there is none (or it's from an older save format)
+  static read() {
+    if (typeof localStorage === "undefined") return null;
+
+    try {
+      const save = JSON.parse(localStorage.getItem(SaveGame.STORAGE_KEY) || "null");
+      return save && save.version === SaveGame.VERSION ? save : null;
+    } catch (err) {
+      console.warn("Ignoring unreadable save", err);
+      return null;
+    }
+  }
+
+  // Storage can refuse (full quota, private mode); the run just isn't saved, callers carry on
+  static write(save) {
+    if (typeof localStorage === "undefined") return;
+
+    try {
+      localStorage.setItem(SaveGame.STORAGE_KEY, JSON.stringify(save));
+    } catch (err) {
+      console.warn("Could not save the run", err);
+    }
+  }
+
+  static clear() {
+    if (typeof localStorage !== "undefined") localStorage.removeItem(SaveGame.STORAGE_KEY);
+  }
+
+  // level = the entities buildLevel made for this level: { keyGuards, keys, bossEncounter }
+  static capture(game, { keyGuards = [], keys = [], bossEncounter = null } = {}) {
+    const alive = (e) => e && !e.removeFromWorld;
+    const waveEnemies = bossEncounter ? bossEncounter.activeWaveEnemies : [];
+
+    const pickups = [];
+    for (const e of game.entities) {
+      if (!alive(e)) continue;
+      if (e.tag === "pickup_coin") pickups.push({ kind: "coin", x: e.x, y: e.y });
+      if (e.tag === "pickup_heart") pickups.push({ kind: "heart", x: e.x, y: e.y });
+    }
+
+    return {
+      version: SaveGame.VERSION,
+      savedAt: new Date().toISOString(),
+      levelIndex: game.currentLevelIndex,
+      seed: game.rng.seed,
+      rngState: game.rng.getState(),
+
+      coinsCollected: game.coinsCollected || 0,
+      levelStartCoins: game.levelStartCoins || 0,
+      keysCollected: game.keysCollected || 0,
+      exitUnlocked: game.exitUnlocked === true,
+      storyRead: game.storyRead === true,
+      npcTalked: game.npcTalked === true,
+      arenaStarted: game.arenaStarted === true,
+
+      player: game.player.toSave(),
+      keys: keys.flatMap((key, index) => alive(key) ? [{ index, guardWoken: key.guardWoken }] : []),
+      guards: keyGuards.flatMap((e, index) => alive(e) ? [{ index, ...e.toSave() }] : []),
+      waveEnemies: waveEnemies.filter(alive).map((e) => e.toSave()),
+      pickups,
+      encounter: bossEncounter ? bossEncounter.toSave() : null
+    };
+  }
+
+  // Runs at the end of buildLevel, after the level's entities were added in their usual order
+  static apply(game, save, { AM, tileMap, camera, player, keyGuards = [], keys = [], bossEncounter = null }) {
+    game.coinsCollected = save.coinsCollected || 0;
+    game.levelStartCoins = save.levelStartCoins ?? game.coinsCollected;
+    game.keysCollected = save.keysCollected || 0;
+    game.exitUnlocked = save.exitUnlocked === true;
+    game.storyRead = save.storyRead === true;
+    game.npcTalked = save.npcTalked === true;
+
+    player.loadSave(save.player);
+    camera.follow(player.x, player.y);
+
+    // Collected keys and killed guards are gone; the rest pick up where they were
+    const savedKeys = new Map((save.keys || []).map((s) => [s.index, s]));
+    keys.forEach((key, index) => {
+      const s = savedKeys.get(index);
+      if (!s) key.removeFromWorld = true;
+      else key.guardWoken = s.guardWoken === true;
+    });
+
+    const savedGuards = new Map((save.guards || []).map((s) => [s.index, s]));
+    keyGuards.forEach((e, index) => {
+      const s = savedGuards.get(index);
+      if (!s) e.removeFromWorld = true;
+      else e.loadSave(s);
+    });
+
+    const waveEnemies = (save.waveEnemies || []).map((s) => {
+      const e = EnemyCreator.create(game, AM, tileMap, camera, player, s.type, { stats: { hp: s.hp } });
+      e.loadSave(s);
+      game.addEntity(e);
+      return e;
+    });
+
+    let coins = 0;
+    for (const p of save.pickups || []) {
+      if (p.kind === "coin") {
+        game.addEntity(new CoinPickup(game, AM, camera, player, p.x, p.y, { size: 22, radius: 26, frameTime: 0.1 }));
+        coins += 1;
+      }
+      if (p.kind === "heart") {
+        game.addEntity(new HeartPickup(game, AM, camera, player, p.x, p.y, { size: 34, radius: 26 }));
+      }
+    }
+
+    if (bossEncounter && save.encounter) bossEncounter.loadSave(save.encounter, waveEnemies);
+
+    // Counters match what is left in the world (dying enemies still count until enemy:died)
+    game.levelStats = { enemiesLeft: savedGuards.size + waveEnemies.length, coinsLeft: coins };
+
+    // Last, so anything the restore spawned doesn't shift the sequence
+    game.rng.setState(save.rngState);
+  }
+}
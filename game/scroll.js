@@ -2,8 +2,9 @@
 // ScrollStoryPickup:
 // - Spawned using Tiled point object named "story_scroll" (tilemap.js reads scrollSpawns)
 // - Lets player press E nearby to open a DOM story overlay (index.html)
-// - Freezes gameplay while the overlay is open via game.storyModalOpen (checked in player.js/enemy.js/etc)
+// - Freezes gameplay while the overlay is open by pushing a "Story" scene (engine/scene.js)
 // - Sets game.storyRead so it only triggers once (main.js/game state)
+// - The close button listener is attached in onAdded and detached in onRemoved (GameEngine lifecycle hooks)
 
 class ScrollStoryPickup {
   constructor(game, assetManager, camera, player, x, y, opts = {}) {
@@ -24,15 +25,34 @@ class ScrollStoryPickup {
     this.imgPath = "assets/images/scrolls/scrolls.png";
 
     // DOM overlay elements (must exist in index.html)
-    this.storyOverlayEl = document.getElementById("storyOverlay");
-    this.storyTitleEl = document.getElementById("storyTitle");
-    this.storyTextEl = document.getElementById("storyText");
-    this.storyCloseBtn = document.getElementById("storyCloseBtn");
-
-    // Close overlay button
-    if (this.storyCloseBtn) {
-      this.storyCloseBtn.addEventListener("click", () => this.closeStory());
-    }
+    this.storyOverlayEl = getElementById("storyOverlay");
+    this.storyTitleEl = getElementById("storyTitle");
+    this.storyTextEl = getElementById("storyText");
+    this.storyCloseBtn = getElementById("storyCloseBtn");
+
+    // Close overlay button (a UI command so replays repeat the click)
+    game.registerCommand("story:close", () => this.closeStory());
+    this.onCloseClick = () => this.game.command("story:close");
+
+    // Scene pushed while the story overlay is open (world stays drawn but frozen);
+    // confirm / cancel / interact close it too, so it never needs the mouse
+    this.storyScene = new Scene("Story", {
+      update: () => {
+        const input = this.game.input;
+        if (input.wasPressed("confirm") || input.wasPressed("cancel") || input.wasPressed("interact")) {
+          this.game.command("story:close");
+        }
+      },
+      onEnter: () => {
+        if (this.storyOverlayEl) this.storyOverlayEl.style.display = "flex";
+      },
+      onExit: () => {
+        if (this.storyOverlayEl) this.storyOverlayEl.style.display = "none";
+
+        const canvas = getElementById("gameWorld");
+        canvas?.focus();
+      }
+    });
 
     // Sprite sheet layout
     this.cols = 10;
@@ -49,9 +69,6 @@ class ScrollStoryPickup {
     this.size = 48;
     this.interactRadius = opts.radius ?? 70;
 
-    // Key edge detection for E (prevents repeated triggers while held)
-    this.eHeld = false;
-
     // Optional story lines (currently unused in openStory, but left for future customization)
     this.storyLines = opts.storyLines ?? [
       "A cursed land… three keys…",
@@ -59,10 +76,16 @@ class ScrollStoryPickup {
     ];
   }
 
-  // Opens the overlay and pauses gameplay using game.storyModalOpen
-  openStory() {
-    if (this.storyOverlayEl) this.storyOverlayEl.style.display = "flex";
+  onAdded() {
+    if (this.storyCloseBtn) this.storyCloseBtn.addEventListener("click", this.onCloseClick);
+  }
+
+  onRemoved() {
+    if (this.storyCloseBtn) this.storyCloseBtn.removeEventListener("click", this.onCloseClick);
+  }
 
+  // Opens the overlay and pauses gameplay by pushing the Story scene
+  openStory() {
     if (this.storyTitleEl) this.storyTitleEl.textContent = "The Lost Barbarian";
 
     // Story content displayed in the overlay (line breaks preserved)
@@ -85,24 +108,15 @@ class ScrollStoryPickup {
       this.storyTextEl.style.whiteSpace = "pre-line";
     }
 
-    // Systems like player.js/enemy.js check this flag to pause updates
-    this.game.storyModalOpen = true;
+    this.game.pushScene(this.storyScene);
   }
 
   // Closes overlay and returns input focus back to the canvas
   closeStory() {
-    if (this.storyOverlayEl) this.storyOverlayEl.style.display = "none";
-
-    this.game.storyModalOpen = false;
-
-    const canvas = document.getElementById("gameWorld");
-    canvas?.focus();
+    this.game.popScene("Story");
   }
 
   update() {
-    // Stop updating when game ended
-    if (this.game.gameOver || this.game.win) return;
-
     const dt = this.game.clockTick || 1 / 60;
 
     // Sprite animation loop
@@ -119,15 +133,12 @@ class ScrollStoryPickup {
 
     const near = dist <= this.interactRadius;
 
-    // Press E near scroll to open story overlay (only once)
-    const eDown = this.game.keys?.["e"] || this.game.keys?.["E"];
-    if (eDown && !this.eHeld && near && !this.game.storyRead) {
+    // Press interact (E) near scroll to open story overlay (only once)
+    if (this.game.input.wasPressed("interact") && near && !this.game.storyRead) {
       this.game.storyRead = true;
       this.openStory();
     }
 
-    this.eHeld = !!eDown;
-
     // Optional HUD toast timer (hud.js displays game.storyToast)
     if (this.game.storyToastTimer > 0) {
       this.game.storyToastTimer = Math.max(0, this.game.storyToastTimer - dt);
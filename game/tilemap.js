@@ -3,21 +3,55 @@
 // TileMap (Tiled TMJ):
 // - Loads a Tiled .tmj JSON map (main.js calls loadFromTiledTMJ)
 // - Provides world size + player spawn position (used by player.js)
-// - Draws tile layers + tile-object layers (main draw loop)
-// - Reads solid rectangles from "Colliders" object layer for collision
-// - Exposes isBlockedAtWorld(x,y) for Player/Enemy/Projectile movement (player.js, enemy.js, projectile.js)
+// - Draws every tile layer + object group in TMJ order (groups flattened), honoring visible, opacity,
+//   offsetx/offsety, tintcolor and parallax: draw() on the "ground" render layer (main.js tilemap_draw),
+//   drawAbove() over the world for layers with the custom property layer="above" (tree canopies, roofs)
+// - Bakes tile layers into offscreen chunk canvases (CHUNK_TILES square) the first time
+//   each chunk is on screen; setTile() / invalidateChunks() mark chunks for re-baking
+// - Animates tiles from Tiled tileset animation data (update() advances them; animated cells stay out of chunks)
+// - Hands standing tile-objects of the "Objects" group (trees, houses) to the engine's y-sorted world layer
+//   via getWorldSprites(); other object groups draw flat
+// - Tile custom property layer="ground" keeps an "Objects" tile-object flat under everything (bridges, shore edges)
+// - Shape / point objects are map data (spawns, triggers, colliders) and are never drawn
+// - Reads solid shapes from the "Colliders" object layer for collision: rectangles (rotated too),
+//   polygons, ellipses and polylines
+// - Exposes isBlockedAtWorld(x,y) for Player/Enemy/Projectile movement (player.js, enemy.js, projectile.js),
+//   and sweepCircle() / moveCircle() so the Player slides along walls and projectiles can't skip through them
 //
 // Tileset support:
-// 1) External tilesets (.tsx / spritesheet): map tileset NAME -> AssetManager key queued in main.js
+// 1) Spritesheet tilesets: one image cut into tiles (columns / margin / spacing from Tiled)
 // 2) Collection-of-images tilesets: each tile has its own image path; we normalize to AssetManager keys
-//
-// NOTE (for water blocking via tile properties):
-// - This file can read per-tile custom properties (ex: blocked=true) ONLY if the tileset data
-//   is embedded in the TMJ as JSON (so map.tilesets[] contains a "tiles" array with properties).
-// - If your tileset is referenced via "source": "...tsx", TMJ usually won’t include per-tile properties here.
-//   In that case, use embedded tilesets or a JSON tileset export so properties are available.
+// Either kind may be embedded in the TMJ or referenced by "source" (.tsx XML or .tsj JSON, path relative
+// to the map). tilesetSources(map) lists the referenced files; once AssetManager has them,
+// resolveTilesets() inlines them so both kinds (and per-tile properties like blocked=true) work the same.
+// assetKeysForMap(map) lists every tile image so AssetManifest can download a level's tiles on demand
 
 class TileMap {
+  // Flag bits Tiled stores in the top of a gid; GID_MASK clears all four
+  static FLIP_H = 0x80000000;
+  static FLIP_V = 0x40000000;
+  static FLIP_D = 0x20000000;
+  static ROTATED_HEX_120 = 0x10000000;
+  static GID_MASK = 0x0fffffff;
+
+  // Object group whose standing tile-objects are y-sorted with entities (getWorldSprites)
+  static SORTED_OBJECT_GROUP = "Objects";
+
+  // Chunk size in tiles (one offscreen canvas per chunk)
+  static CHUNK_TILES = 16;
+
+  // Edges used for an ellipse collider in sweeps (point tests use the exact ellipse)
+  static ELLIPSE_SEGMENTS = 24;
+
+  // Half thickness (px) of a polyline collider in point tests; sweeps treat it as a zero-width wall
+  static POLYLINE_HALF_WIDTH = 4;
+
+  // Gap (px) moveCircle() leaves between a mover and the surface it stopped at
+  static SWEEP_SKIN = 0.01;
+
+  // Contacts moveCircle() slides along in one move (enough for a corner)
+  static MAX_SLIDES = 3;
+
   constructor(game, assetManager) {
     this.game = game;
     this.AM = assetManager;
@@ -40,6 +74,11 @@ class TileMap {
     // Tile layers by name -> tilelayer object
     this.layers = {};
 
+    // Every tile layer / object group in map order, groups flattened (allLayers), and the same
+    // with the draw settings inherited from their groups (renderLayers, see _flattenLayers)
+    this.allLayers = [];
+    this.renderLayers = [];
+
     // Solid collision rectangles read from "Colliders" objectgroup
     this.tiledColliders = []; // {x,y,w,h,type}
 
@@ -51,20 +90,43 @@ class TileMap {
 
     // NEW: raw tilesets by name (for per-tile custom properties like blocked=true)
     this._rawTilesetsByName = new Map();
+
+    // Baked chunks: "chunkCol,chunkRow" -> canvas (missing = not baked yet / invalidated)
+    this._chunks = new Map();
+
+    // Object groups sorted by y: layer name -> objects (cleared on load)
+    this._sortedObjects = new Map();
+
+    // Cache: object gid -> has layer="ground" (flat) property
+    this._groundByGid = new Map();
+
+    // Tile animations from the tilesets ({ frames, total ms, current tileid }) and their clock (ms)
+    this._animations = [];
+    this.animTime = 0;
+
+    // Tileset images multiplied by a layer tint: "imageKey|tint" -> canvas
+    this._tintedImages = new Map();
   }
 
-  // Loads TMJ JSON from URL and builds layers/tilesets/colliders/spawn points
+  // Loads TMJ JSON from URL and builds layers/tilesets/colliders/spawn points.
+  // Uses the AssetManager copy when main.js preloaded it (cloned so a level reload starts clean).
   async loadFromTiledTMJ(url) {
-    const map = await fetch(url).then((r) => r.json());
+    const cached = this.AM.getAsset(url);
+    const map = cached ? structuredClone(cached) : await fetch(url).then((r) => r.json());
+
+    // Referenced .tsx / .tsj tilesets become embedded ones (no-op when main.js already downloaded them)
+    const sources = TileMap.tilesetSources(map, url).filter((path) => !this.AM.getAsset(path));
+    if (sources.length) await this.AM.loadAssets(sources);
+    map.tilesets = TileMap.resolveTilesets(map, url, this.AM);
     this._map = map;
 
+    this.renderLayers = TileMap._flattenLayers(map.layers ?? []);
+    this.allLayers = this.renderLayers.map((rl) => rl.layer);
+
     // NEW: build lookup of raw tilesets by name (only works if tileset data is embedded in TMJ)
     this._rawTilesetsByName = new Map();
     for (const ts of map.tilesets ?? []) {
-      const name =
-        ts.name ||
-        (ts.source ? ts.source.split("/").pop().replace(".tsx", "") : "tileset");
-      this._rawTilesetsByName.set(name, ts);
+      this._rawTilesetsByName.set(TileMap._tilesetName(ts), ts);
     }
 
     // Dimensions
@@ -73,16 +135,16 @@ class TileMap {
     this.WORLD_W = this.COLS * this.TILE_SIZE;
     this.WORLD_H = this.ROWS * this.TILE_SIZE;
 
-    // Tile layers (Ground/Walls/Decor are drawn in draw())
+    // Tile layers by name ("Ground" also carries blocked=true tiles for isBlockedAtWorld)
     this.layers = {};
-    for (const layer of map.layers ?? []) {
+    for (const layer of this.allLayers) {
       if (layer.type === "tilelayer") {
         this.layers[layer.name] = layer;
       }
     }
 
     // Player spawn point: object named "player_spawn" inside "Objects" objectgroup
-    const objectsLayer = (map.layers ?? []).find(
+    const objectsLayer = this.allLayers.find(
       (l) => l.type === "objectgroup" && l.name === "Objects"
     );
     const spawn = objectsLayer?.objects?.find((o) => o.name === "player_spawn");
@@ -95,42 +157,44 @@ class TileMap {
       this.spawnY = this.WORLD_H / 2;
     }
 
-    // Colliders: solid rectangles used by isBlockedAtWorld()
-    const collidersLayer = (map.layers ?? []).find(
+    // Colliders: solid shapes (rectangles, rotated rectangles, polygons, ellipses, polylines) used by
+    // isBlockedAtWorld() and sweepCircle(); point objects carry no area and are skipped
+    const collidersLayer = this.allLayers.find(
       (l) => l.type === "objectgroup" && l.name === "Colliders"
     );
 
-    this.tiledColliders = (collidersLayer?.objects ?? []).map((o) => {
+    this.tiledColliders = [];
+    for (const o of collidersLayer?.objects ?? []) {
+      const shape = TileMap._colliderShape(o);
+      if (!shape) continue;
+
       const propType = (o.properties ?? []).find((p) => p.name === "type")?.value;
       const blockedProp = (o.properties ?? []).find((p) => p.name === "blocked")?.value === true;
 
-      return {
+      this.tiledColliders.push({
         name: o.name || "",
-        x: o.x,
-        y: o.y,
-        w: o.width ?? 0,
-        h: o.height ?? 0,
+        ...shape,
         type: propType || "solid",
         blockedProp,
         // Phase A: arena entrance blockers can start inactive, then enabled later.
         active: blockedProp ? false : true
-      };
-    });
+      });
+    }
 
     // Phase A: blocked areas from any object layer (not just Colliders)
     this.blockedAreas = [];
-    for (const layer of map.layers ?? []) {
+    for (const layer of this.allLayers) {
       if (layer.type !== "objectgroup") continue;
       for (const o of layer.objects ?? []) {
         const blockedProp = (o.properties ?? []).find((p) => p.name === "blocked")?.value === true;
         if (!blockedProp) continue;
 
+        const shape = TileMap._colliderShape(o);
+        if (!shape) continue;
+
         this.blockedAreas.push({
           name: o.name || "",
-          x: o.x,
-          y: o.y,
-          w: o.width ?? 0,
-          h: o.height ?? 0,
+          ...shape,
           active: false
         });
       }
@@ -143,7 +207,7 @@ class TileMap {
     // Exit markers (for minimap + optional logic)
     this.exitSpawns = [];   // [{ name, x, y }]
 
-    const anyObjectLayers = (map.layers ?? []).filter(l => l.type === "objectgroup");
+    const anyObjectLayers = this.allLayers.filter(l => l.type === "objectgroup");
 
     for (const ol of anyObjectLayers) {
       for (const o of (ol.objects ?? [])) {
@@ -173,24 +237,17 @@ class TileMap {
 
     // Clear gid cache for new map
     this._gidCache.clear();
+    this._sortedObjects.clear();
+    this._groundByGid.clear();
+    this.invalidateChunks();
   }
 
   // Builds this.tilesets from TMJ tileset definitions
   _buildTilesetsFromMap(map) {
-    // External tilesets: tileset NAME -> AssetManager key (queued in main.js)
-    this.tilesetImageByName = {
-      FieldsTileset: "assets/images/tiles/FieldsTileset.png",
-      WaterTileset: "assets/images/tiles/WaterTileset.png",
-      FenceTileset: "assets/images/tiles/FenceTileset.png"
-    };
-
     const raw = map.tilesets ?? [];
 
     const built = raw.map((ts) => {
-      // Use embedded name or derive from tsx filename
-      const name =
-        ts.name ||
-        (ts.source ? ts.source.split("/").pop().replace(".tsx", "") : "tileset");
+      const name = TileMap._tilesetName(ts);
 
       // Collection-of-images tileset: each tile has its own image path
       const isCollection = Array.isArray(ts.tiles) && !ts.image;
@@ -199,7 +256,7 @@ class TileMap {
         const tilesByLocalId = new Map();
         for (const t of ts.tiles) {
           const localId = t.id;
-          const imageKey = this._normalizeTiledImagePathToAssetKey(t.image);
+          const imageKey = TileMap._normalizeTiledImagePathToAssetKey(t.image);
 
           tilesByLocalId.set(localId, {
             imageKey,
@@ -218,24 +275,280 @@ class TileMap {
         };
       }
 
-      // External / spritesheet tileset
+      // Spritesheet tileset
       return {
         firstgid: ts.firstgid,
         name,
         kind: "external",
         tilewidth: ts.tilewidth ?? this.TILE_SIZE,
         tileheight: ts.tileheight ?? this.TILE_SIZE,
-        imageKey: this.tilesetImageByName[name] || null,
+        columns: ts.columns || 0,
+        margin: ts.margin || 0,
+        spacing: ts.spacing || 0,
+        imageKey: TileMap._normalizeTiledImagePathToAssetKey(ts.image) || null,
       };
     });
 
     // Sort by firstgid so GID resolution works correctly
     built.sort((a, b) => a.firstgid - b.firstgid);
     this.tilesets = built;
+
+    // Tile animations (Tiled "animation": [{ tileid, duration ms }]) per tileset, advanced by update()
+    this._animations = [];
+    for (const ts of built) {
+      ts.animations = new Map();
+      const rawTs = raw.find((r) => r.firstgid === ts.firstgid);
+
+      for (const t of rawTs?.tiles ?? []) {
+        const frames = (t.animation ?? []).filter((f) => f.duration > 0);
+        if (!frames.length) continue;
+
+        const anim = { frames, total: frames.reduce((sum, f) => sum + f.duration, 0), current: frames[0].tileid };
+        ts.animations.set(t.id, anim);
+        this._animations.push(anim);
+      }
+    }
+    this.animTime = 0;
+  }
+
+  // Tile layers + object groups in draw order, each as { layer, visible, opacity, offsetX, offsetY,
+  // parallaxX, parallaxY, tint, above }. Group layers pass their settings down the way Tiled does:
+  // visibility / opacity / parallax / tint multiply, offsets add, layer="above" carries over.
+  static _flattenLayers(layers, parent = null) {
+    const base = parent || {
+      visible: true, opacity: 1, offsetX: 0, offsetY: 0, parallaxX: 1, parallaxY: 1, tint: null, above: false
+    };
+
+    const out = [];
+    for (const layer of layers) {
+      const tint = TileMap._parseTint(layer.tintcolor);
+      const settings = {
+        visible: base.visible && layer.visible !== false,
+        opacity: base.opacity * (layer.opacity ?? 1) * (tint ? tint.a : 1),
+        offsetX: base.offsetX + (layer.offsetx || 0),
+        offsetY: base.offsetY + (layer.offsety || 0),
+        parallaxX: base.parallaxX * (layer.parallaxx ?? 1),
+        parallaxY: base.parallaxY * (layer.parallaxy ?? 1),
+        tint: TileMap._mixTints(base.tint, tint),
+        above: base.above || (layer.properties ?? []).find((p) => p.name === "layer")?.value === "above"
+      };
+
+      if (layer.type === "group") {
+        out.push(...TileMap._flattenLayers(layer.layers ?? [], settings));
+      } else if (layer.type === "tilelayer" || layer.type === "objectgroup") {
+        out.push({ layer, ...settings });
+      }
+    }
+    return out;
+  }
+
+  // Tiled tintcolor "#rrggbb" / "#aarrggbb" -> { r, g, b, a } (0..1), or null for none / white
+  static _parseTint(color) {
+    const hex = /^#?([0-9a-f]{6}|[0-9a-f]{8})$/i.exec(color || "")?.[1];
+    if (!hex) return null;
+
+    const n = (i) => parseInt(hex.slice(i, i + 2), 16) / 255;
+    const tint = hex.length === 8 ? { a: n(0), r: n(2), g: n(4), b: n(6) } : { a: 1, r: n(0), g: n(2), b: n(4) };
+    return tint.r === 1 && tint.g === 1 && tint.b === 1 && tint.a === 1 ? null : tint;
+  }
+
+  // A group's tint and its child's tint stack by multiplying (alpha is already folded into opacity)
+  static _mixTints(outer, inner) {
+    if (!outer || !inner) {
+      const tint = outer || inner;
+      return tint ? { ...tint, css: TileMap._tintCss(tint) } : null;
+    }
+    const tint = { r: outer.r * inner.r, g: outer.g * inner.g, b: outer.b * inner.b, a: 1 };
+    return { ...tint, css: TileMap._tintCss(tint) };
+  }
+
+  static _tintCss({ r, g, b }) {
+    return `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+  }
+
+  // Use embedded name or derive from tsx filename
+  static _tilesetName(ts) {
+    return ts.name ||
+      (ts.source ? ts.source.split("/").pop().replace(/\.(tsx|tsj|json)$/, "") : "tileset");
+  }
+
+  // Tileset files a map references by "source", as AssetManager paths (relative to the map file)
+  static tilesetSources(map, mapPath) {
+    return (map?.tilesets ?? [])
+      .filter((ts) => ts.source)
+      .map((ts) => TileMap._resolveRelativePath(mapPath, ts.source));
+  }
+
+  // map.tilesets with every downloaded "source" tileset inlined (same shape as an embedded one).
+  // Image paths inside a tileset file are relative to that file, so they're rewritten from the repo root.
+  // Tilesets whose file isn't loaded (or isn't valid XML / JSON) are left as they were.
+  static resolveTilesets(map, mapPath, assetManager) {
+    return (map?.tilesets ?? []).map((ts) => {
+      if (!ts.source) return ts;
+
+      const path = TileMap._resolveRelativePath(mapPath, ts.source);
+      const data = assetManager?.getAsset(path);
+      const parsed = typeof data === "string" ? TileMap._parseTsx(data) : data;
+      if (!parsed) {
+        if (assetManager) console.warn("Tileset not loaded:", path);
+        return ts;
+      }
+
+      const resolveImage = (image) => image ? TileMap._resolveRelativePath(path, image) : image;
+      return {
+        ...parsed,
+        firstgid: ts.firstgid,
+        source: ts.source,
+        name: parsed.name || TileMap._tilesetName(ts),
+        image: resolveImage(parsed.image),
+        tiles: parsed.tiles?.map((t) => (t.image ? { ...t, image: resolveImage(t.image) } : t))
+      };
+    });
+  }
+
+  // Tiled .tsx (XML) -> the .tsj / embedded JSON shape. Null when the XML is malformed.
+  static _parseTsx(text) {
+    const root = TileMap._parseXml(text);
+    if (!root || root.tagName !== "tileset") return null;
+
+    const num = (el, attr, fallback = 0) => (el && attr in el.attrs ? Number(el.attrs[attr]) : fallback);
+    const child = (el, tag) => el.children.find((c) => c.tagName === tag) || null;
+
+    const readImage = (el, out) => {
+      const image = child(el, "image");
+      if (!image) return;
+      out.image = image.attrs.source;
+      out.imagewidth = num(image, "width");
+      out.imageheight = num(image, "height");
+    };
+
+    const readProperties = (el) => {
+      const props = child(el, "properties");
+      if (!props) return undefined;
+
+      return props.children.filter((p) => p.tagName === "property").map((p) => {
+        const type = p.attrs.type || "string";
+        const raw = "value" in p.attrs ? p.attrs.value : p.text;
+        let value = raw;
+        if (type === "bool") value = raw === "true";
+        if (type === "int" || type === "float") value = Number(raw);
+        return { name: p.attrs.name, type, value };
+      });
+    };
+
+    const tileset = {
+      name: root.attrs.name || "",
+      tilewidth: num(root, "tilewidth"),
+      tileheight: num(root, "tileheight"),
+      tilecount: num(root, "tilecount"),
+      columns: num(root, "columns"),
+      margin: num(root, "margin"),
+      spacing: num(root, "spacing")
+    };
+    readImage(root, tileset);
+
+    const properties = readProperties(root);
+    if (properties) tileset.properties = properties;
+
+    const tiles = root.children.filter((el) => el.tagName === "tile").map((el) => {
+      const tile = { id: num(el, "id") };
+      const type = el.attrs.type || el.attrs.class;
+      if (type) tile.type = type;
+      readImage(el, tile);
+
+      const tileProps = readProperties(el);
+      if (tileProps) tile.properties = tileProps;
+
+      const animation = child(el, "animation");
+      if (animation) {
+        tile.animation = animation.children
+          .filter((f) => f.tagName === "frame")
+          .map((f) => ({ tileid: num(f, "tileid"), duration: num(f, "duration") }));
+      }
+      return tile;
+    });
+    if (tiles.length) tileset.tiles = tiles;
+
+    return tileset;
   }
 
-  // Converts a Tiled tile-image path into the AssetManager key used by queueDownload (main.js)
-  _normalizeTiledImagePathToAssetKey(tiledPath) {
+  // Small XML reader, enough for Tiled's tileset files, so .tsx loads the same in the browser and headless
+  // (no DOMParser there). Elements, attributes and text; the declaration, comments and doctype are skipped.
+  // Returns the root element { tagName, attrs, children, text }, or null when the XML is malformed.
+  static _parseXml(text) {
+    const entities = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+    const decode = (str) => str.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, name) => {
+      if (name[0] !== "#") return entities[name] ?? match;
+      return String.fromCodePoint(name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+    });
+
+    const token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    const doc = { tagName: "", attrs: {}, children: [], text: "" };
+    const stack = [doc];
+
+    let pos = 0;
+    let m;
+    while ((m = token.exec(text))) {
+      // Anything the tokens don't cover (a stray "<", a broken tag) makes the file unreadable
+      if (m.index !== pos) return null;
+      pos = token.lastIndex;
+
+      const top = stack[stack.length - 1];
+      const [, cdata, closeTag, openTag, attrText, selfClosing, chars] = m;
+      if (cdata !== undefined) {
+        top.text += cdata;
+      } else if (closeTag) {
+        if (top === doc || top.tagName !== closeTag) return null;
+        stack.pop();
+      } else if (openTag) {
+        const el = { tagName: openTag, attrs: {}, children: [], text: "" };
+        for (const [, name, dq, sq] of attrText.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+          el.attrs[name] = decode(dq ?? sq);
+        }
+        top.children.push(el);
+        if (!selfClosing) stack.push(el);
+      } else if (chars !== undefined) {
+        top.text += decode(chars);
+      }
+    }
+
+    if (pos !== text.length || stack.length !== 1) return null;
+    return doc.children[0] || null;
+  }
+
+  // "./assets/Level1_Map.tmj" + "tilesets/Fields.tsx" -> "assets/tilesets/Fields.tsx"
+  static _resolveRelativePath(fromPath, relative) {
+    if (/^([a-z]+:)?\/\//i.test(relative)) return relative;
+
+    const base = new URL(String(fromPath).replace(/\\/g, "/"), "http://tiles.local/");
+    return decodeURI(new URL(relative.replace(/\\/g, "/"), base).pathname.slice(1));
+  }
+
+  // Every image key a TMJ map needs (AssetManifest.forLevel downloads these before the level builds).
+  // "source" tilesets only count once their files are loaded: pass mapPath + the AssetManager for those.
+  static assetKeysForMap(map, mapPath = "", assetManager = null) {
+    const keys = new Set();
+
+    for (const ts of TileMap.resolveTilesets(map, mapPath, assetManager)) {
+      const isCollection = Array.isArray(ts.tiles) && !ts.image;
+
+      if (isCollection) {
+        for (const t of ts.tiles) {
+          const key = TileMap._normalizeTiledImagePathToAssetKey(t.image);
+          if (key) keys.add(key);
+        }
+        continue;
+      }
+
+      const key = TileMap._normalizeTiledImagePathToAssetKey(ts.image);
+      if (key) keys.add(key);
+    }
+
+    return [...keys];
+  }
+
+  // Converts a Tiled tile-image path into the AssetManager key (same key assetKeysForMap queues)
+  static _normalizeTiledImagePathToAssetKey(tiledPath) {
     if (!tiledPath) return null;
 
     const idx = tiledPath.lastIndexOf("assets/");
@@ -257,26 +570,28 @@ class TileMap {
     return best;
   }
 
-  // Resolves a raw gid into { ts, localId } and strips Tiled flip flags
+  // Resolves a raw gid into { ts, localId, flipH, flipV, flipD } (cached per raw gid).
+  // Tiled keeps the flips in the top bits; the hexagonal 120° bit means nothing on our orthogonal maps,
+  // so it is masked off with them and otherwise ignored.
   _resolveGid(gidRaw) {
     if (!gidRaw) return null;
+    if (this._gidCache.has(gidRaw)) return this._gidCache.get(gidRaw);
 
-    const FLIP_H = 0x80000000;
-    const FLIP_V = 0x40000000;
-    const FLIP_D = 0x20000000;
-    const gid = gidRaw & ~(FLIP_H | FLIP_V | FLIP_D);
-
-    if (this._gidCache.has(gid)) return this._gidCache.get(gid);
-
-    const ts = this._getTilesetForGid(gid);
+    const gid = gidRaw & TileMap.GID_MASK;
+    const ts = gid ? this._getTilesetForGid(gid) : null;
     if (!ts) {
-      this._gidCache.set(gid, null);
+      this._gidCache.set(gidRaw, null);
       return null;
     }
 
-    const localId = gid - ts.firstgid;
-    const out = { ts, localId };
-    this._gidCache.set(gid, out);
+    const out = {
+      ts,
+      localId: gid - ts.firstgid,
+      flipH: (gidRaw & TileMap.FLIP_H) !== 0,
+      flipV: (gidRaw & TileMap.FLIP_V) !== 0,
+      flipD: (gidRaw & TileMap.FLIP_D) !== 0
+    };
+    this._gidCache.set(gidRaw, out);
     return out;
   }
 
@@ -284,13 +599,8 @@ class TileMap {
   _getRawTileDefForGid(gidRaw) {
     if (!gidRaw) return null;
 
-    // strip flip flags
-    const FLIP_H = 0x80000000;
-    const FLIP_V = 0x40000000;
-    const FLIP_D = 0x20000000;
-    const gid = gidRaw & ~(FLIP_H | FLIP_V | FLIP_D);
-
-    const res = this._resolveGid(gid);
+    // Flipped copies share the tile's properties (blocked=true etc.)
+    const res = this._resolveGid(gidRaw);
     if (!res) return null;
 
     const { ts, localId } = res;
@@ -306,12 +616,15 @@ class TileMap {
 
   // NEW: Returns true if the tile under (x,y) has custom property blocked=true
   _isBlockedByTileProperty(x, y) {
+    return this._isTileBlocked(Math.floor(x / this.TILE_SIZE), Math.floor(y / this.TILE_SIZE));
+  }
+
+  // Tile (col,row) of the Ground layer has blocked=true; outside the map counts as blocked
+  _isTileBlocked(col, row) {
     // water tiles are on the Ground tile layer in your setup
     const layer = this.layers["Ground"];
     if (!layer || !layer.data) return false;
 
-    const col = Math.floor(x / this.TILE_SIZE);
-    const row = Math.floor(y / this.TILE_SIZE);
     if (col < 0 || row < 0 || col >= this.COLS || row >= this.ROWS) return true;
 
     const idx = row * this.COLS + col;
@@ -325,35 +638,310 @@ class TileMap {
     return blockedProp?.value === true;
   }
 
-  // Returns true if a point hits any "solid" collider rectangle
+  // World-space collision shape of a Tiled object: { shape, points, closed, ellipse, x, y, w, h }
+  // - shape: "rect" (axis-aligned), "polygon" (also rotated rectangles), "polyline" or "ellipse"
+  // - points: outline in world px (an ellipse's is ELLIPSE_SEGMENTS edges); closed is false for polylines
+  // - x/y/w/h: bounding box, checked first by every query
+  // Tiled rotates an object clockwise (degrees) around its anchor (o.x, o.y): top-left for shapes,
+  // bottom-left for tile objects. Point objects and empty shapes give null.
+  static _colliderShape(o) {
+    if (o.point) return null;
+
+    const w = o.width ?? 0;
+    const h = o.height ?? 0;
+    const angle = ((o.rotation || 0) * Math.PI) / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const toWorld = (lx, ly) => ({ x: o.x + lx * cos - ly * sin, y: o.y + lx * sin + ly * cos });
+
+    let shape;
+    let points;
+    let ellipse = null;
+    if (Array.isArray(o.polygon) || Array.isArray(o.polyline)) {
+      shape = o.polygon ? "polygon" : "polyline";
+      points = (o.polygon || o.polyline).map((p) => toWorld(p.x, p.y));
+    } else {
+      if (w <= 0 || h <= 0) return null;
+
+      const top = o.gid ? -h : 0;
+      if (o.ellipse) {
+        shape = "ellipse";
+        const center = toWorld(w / 2, top + h / 2);
+        ellipse = { cx: center.x, cy: center.y, rx: w / 2, ry: h / 2, cos, sin };
+        points = [];
+        for (let i = 0; i < TileMap.ELLIPSE_SEGMENTS; i++) {
+          const a = (i / TileMap.ELLIPSE_SEGMENTS) * Math.PI * 2;
+          points.push(toWorld(w / 2 + (Math.cos(a) * w) / 2, top + h / 2 + (Math.sin(a) * h) / 2));
+        }
+      } else {
+        shape = angle === 0 ? "rect" : "polygon";
+        points = [toWorld(0, top), toWorld(w, top), toWorld(w, top + h), toWorld(0, top + h)];
+      }
+    }
+    if (points.length < 2) return null;
+
+    let minX = Math.min(...points.map((p) => p.x));
+    let minY = Math.min(...points.map((p) => p.y));
+    let maxX = Math.max(...points.map((p) => p.x));
+    let maxY = Math.max(...points.map((p) => p.y));
+    if (ellipse) {
+      // The outline's corners sit on the ellipse, so its box can be a little small when rotated
+      const halfW = Math.hypot(ellipse.rx * cos, ellipse.ry * sin);
+      const halfH = Math.hypot(ellipse.rx * sin, ellipse.ry * cos);
+      minX = ellipse.cx - halfW;
+      maxX = ellipse.cx + halfW;
+      minY = ellipse.cy - halfH;
+      maxY = ellipse.cy + halfH;
+    }
+    if (shape === "polyline") {
+      const pad = TileMap.POLYLINE_HALF_WIDTH;
+      minX -= pad;
+      minY -= pad;
+      maxX += pad;
+      maxY += pad;
+    }
+
+    return { shape, points, closed: shape !== "polyline", ellipse, x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+  }
+
+  // Even-odd rule
+  static _pointInPolygon(points, x, y) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i];
+      const b = points[j];
+      if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+  }
+
+  static _distanceToSegment(x, y, ax, ay, bx, by) {
+    const ex = bx - ax;
+    const ey = by - ay;
+    const lenSq = ex * ex + ey * ey;
+    const s = lenSq > 0 ? Math.max(0, Math.min(1, ((x - ax) * ex + (y - ay) * ey) / lenSq)) : 0;
+    return Math.hypot(x - (ax + ex * s), y - (ay + ey * s));
+  }
+
+  // True if (x,y) is inside a collider / blocked area (shape from _colliderShape)
+  _pointInCollider(r, x, y) {
+    if (x < r.x || x >= r.x + r.w || y < r.y || y >= r.y + r.h) return false;
+
+    if (r.shape === "rect") return true;
+
+    if (r.shape === "ellipse") {
+      const { cx, cy, rx, ry, cos, sin } = r.ellipse;
+      const lx = ((x - cx) * cos + (y - cy) * sin) / rx;
+      const ly = (-(x - cx) * sin + (y - cy) * cos) / ry;
+      return lx * lx + ly * ly <= 1;
+    }
+
+    if (r.shape === "polyline") {
+      const pts = r.points;
+      for (let i = 0; i < pts.length - 1; i++) {
+        const d = TileMap._distanceToSegment(x, y, pts[i].x, pts[i].y, pts[i + 1].x, pts[i + 1].y);
+        if (d <= TileMap.POLYLINE_HALF_WIDTH) return true;
+      }
+      return false;
+    }
+
+    return TileMap._pointInPolygon(r.points, x, y);
+  }
+
+  // Returns true if a point hits any "solid" collider shape
   _pointHitsSolidCollider(x, y) {
     for (const r of this.tiledColliders) {
       if (r.type !== "solid") continue;
       if (r.active === false) continue;
-      if (x >= r.x && x < r.x + r.w && y >= r.y && y < r.y + r.h) return true;
+      if (this._pointInCollider(r, x, y)) return true;
     }
     for (const r of this.blockedAreas) {
       if (!r.active) continue;
-      if (x >= r.x && x < r.x + r.w && y >= r.y && y < r.y + r.h) return true;
+      if (this._pointInCollider(r, x, y)) return true;
     }
     return false;
   }
 
+  // First time t (0..1) a circle of radius r at (px,py) moving by (dx,dy) touches segment AB, with the
+  // contact normal (unit, pointing back at the mover). A circle already touching the segment only
+  // counts when it moves further in (t = 0). null when they never touch.
+  static _sweepSegment(px, py, dx, dy, r, ax, ay, bx, by) {
+    let best = null;
+
+    const ex = bx - ax;
+    const ey = by - ay;
+    const lenSq = ex * ex + ey * ey;
+    if (lenSq > 0) {
+      const len = Math.sqrt(lenSq);
+      let nx = -ey / len;
+      let ny = ex / len;
+      let dist = (px - ax) * nx + (py - ay) * ny;
+      if (dist < 0) {
+        nx = -nx;
+        ny = -ny;
+        dist = -dist;
+      }
+
+      const along = (t) => ((px + dx * t - ax) * ex + (py + dy * t - ay) * ey) / lenSq;
+      const approach = dx * nx + dy * ny;
+
+      if (dist < r) {
+        // Already overlapping the segment's side
+        const s = along(0);
+        if (s >= 0 && s <= 1) return approach < 0 ? { t: 0, nx, ny } : null;
+      } else if (approach < 0) {
+        const t = (dist - r) / -approach;
+        const s = along(t);
+        if (t <= 1 && s >= 0 && s <= 1) best = { t, nx, ny };
+      }
+    }
+
+    // Rounded ends
+    for (const [cx, cy] of [[ax, ay], [bx, by]]) {
+      const hit = TileMap._sweepPoint(px, py, dx, dy, r, cx, cy);
+      if (hit && (!best || hit.t < best.t)) best = hit;
+    }
+    return best;
+  }
+
+  // Same as _sweepSegment, against the single point (cx,cy)
+  static _sweepPoint(px, py, dx, dy, r, cx, cy) {
+    if (r <= 0) return null;
+
+    const mx = px - cx;
+    const my = py - cy;
+    const b = mx * dx + my * dy;
+    const c = mx * mx + my * my - r * r;
+
+    if (c < 0) {
+      if (b >= 0) return null;
+      const len = Math.sqrt(mx * mx + my * my) || 1;
+      return { t: 0, nx: mx / len, ny: my / len };
+    }
+
+    const a = dx * dx + dy * dy;
+    const disc = b * b - a * c;
+    if (a === 0 || disc < 0 || b >= 0) return null;
+
+    const t = (-b - Math.sqrt(disc)) / a;
+    if (t > 1) return null;
+    return { t, nx: (mx + dx * t) / r, ny: (my + dy * t) / r };
+  }
+
+  // Sweeps a circle of `radius` from (x0,y0) to (x1,y1) against active solid colliders, active blocked areas,
+  // the world edges and (unless tiles: false) blocked=true tiles; radius 0 sweeps a line segment.
+  // Returns the first contact { t, x, y, nx, ny }: t in 0..1, (x,y) = center at contact, (nx,ny) = surface
+  // normal facing the mover. null when the way is clear. A mover that overlaps an edge can still back away from it.
+  sweepCircle(x0, y0, x1, y1, radius = 0, { tiles = true } = {}) {
+    this.game.profiler?.count("sweepCircle");
+
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const minX = Math.min(x0, x1) - radius;
+    const minY = Math.min(y0, y1) - radius;
+    const maxX = Math.max(x0, x1) + radius;
+    const maxY = Math.max(y0, y1) + radius;
+
+    let best = null;
+    const test = (ax, ay, bx, by) => {
+      const hit = TileMap._sweepSegment(x0, y0, dx, dy, radius, ax, ay, bx, by);
+      if (hit && (!best || hit.t < best.t)) best = hit;
+    };
+    const testShape = (r) => {
+      if (r.x > maxX || r.x + r.w < minX || r.y > maxY || r.y + r.h < minY) return;
+      const pts = r.points;
+      const edges = r.closed ? pts.length : pts.length - 1;
+      for (let i = 0; i < edges; i++) {
+        const a = pts[i];
+        const b = pts[(i + 1) % pts.length];
+        test(a.x, a.y, b.x, b.y);
+      }
+    };
+
+    for (const r of this.tiledColliders) {
+      if (r.type === "solid" && r.active !== false) testShape(r);
+    }
+    for (const r of this.blockedAreas) {
+      if (r.active) testShape(r);
+    }
+
+    const W = this.WORLD_W;
+    const H = this.WORLD_H;
+    if (minX < 0) test(0, 0, 0, H);
+    if (minY < 0) test(0, 0, W, 0);
+    if (maxX > W) test(W, 0, W, H);
+    if (maxY > H) test(0, H, W, H);
+
+    if (tiles) {
+      // Only edges between a blocked tile and an open one, so movers don't catch on seams
+      const size = this.TILE_SIZE;
+      const startCol = Math.max(0, Math.floor(minX / size));
+      const endCol = Math.min(this.COLS - 1, Math.floor(maxX / size));
+      const startRow = Math.max(0, Math.floor(minY / size));
+      const endRow = Math.min(this.ROWS - 1, Math.floor(maxY / size));
+
+      for (let row = startRow; row <= endRow; row++) {
+        for (let col = startCol; col <= endCol; col++) {
+          if (!this._isTileBlocked(col, row)) continue;
+          const x = col * size;
+          const y = row * size;
+          if (!this._isTileBlocked(col, row - 1)) test(x, y, x + size, y);
+          if (!this._isTileBlocked(col, row + 1)) test(x, y + size, x + size, y + size);
+          if (!this._isTileBlocked(col - 1, row)) test(x, y, x, y + size);
+          if (!this._isTileBlocked(col + 1, row)) test(x + size, y, x + size, y + size);
+        }
+      }
+    }
+
+    if (!best) return null;
+    return { ...best, x: x0 + dx * best.t, y: y0 + dy * best.t };
+  }
+
+  // Moves a circle by (dx,dy) and slides it along whatever it runs into (sweepCircle), so movers glide
+  // along diagonal walls and shorelines instead of sticking. Returns { x, y, hit } (new center).
+  moveCircle(x, y, dx, dy, radius, options = {}) {
+    let hit = false;
+
+    for (let i = 0; i < TileMap.MAX_SLIDES && (dx !== 0 || dy !== 0); i++) {
+      const contact = this.sweepCircle(x, y, x + dx, y + dy, radius, options);
+      if (!contact) {
+        x += dx;
+        y += dy;
+        break;
+      }
+
+      hit = true;
+      const t = Math.max(0, contact.t - TileMap.SWEEP_SKIN / Math.hypot(dx, dy));
+      x += dx * t;
+      y += dy * t;
+
+      // Keep only the part of the remaining move that runs along the surface
+      const restX = dx * (1 - t);
+      const restY = dy * (1 - t);
+      const into = restX * contact.nx + restY * contact.ny;
+      dx = restX - into * contact.nx;
+      dy = restY - into * contact.ny;
+    }
+
+    return { x, y, hit };
+  }
+
   // Main collision query used by Player/Enemy/Projectile movement
   isBlockedAtWorld(x, y) {
+    this.game.profiler?.count("isBlockedAtWorld");
     if (x < 0 || y < 0 || x >= this.WORLD_W || y >= this.WORLD_H) return true;
 
     // NEW: tile-based blocking (ex: water tiles with blocked=true)
     if (this._isBlockedByTileProperty(x, y)) return true;
 
-    // Existing solid rectangles
+    // Collider shapes + active blocked areas
     return this._pointHitsSolidCollider(x, y);
   }
 
   // Finds the first object with a given name across ALL objectgroup layers
   getObjectByName(name) {
     if (!this._map) return null;
-    for (const layer of this._map.layers ?? []) {
+    for (const layer of this.allLayers) {
       if (layer.type !== "objectgroup") continue;
       for (const o of layer.objects ?? []) {
         if (o.name === name) return o;
@@ -395,47 +983,287 @@ class TileMap {
     return { x: o.x, y: o.y, w, h };
   }
 
-  // Draws visible tiles + objects based on the current camera viewport
+  // Ground-layer pass (main.js "tilemap_draw" entity, layer "ground"): every layer below the player,
+  // in map order. Standing tile-objects come from getWorldSprites() instead.
   draw(ctx, camera) {
+    this._drawLayers(ctx, camera, false);
+  }
+
+  // Above-player pass (main.js "tilemap_above" entity, layer "above"): layers with layer="above"
+  drawAbove(ctx, camera) {
+    this._drawLayers(ctx, camera, true);
+  }
+
+  _drawLayers(ctx, camera, above) {
     ctx.imageSmoothingEnabled = false;
 
-    const camX = camera.renderX;
-    const camY = camera.renderY;
+    for (const rl of this.renderLayers) {
+      if (!rl.visible || rl.opacity <= 0 || rl.above !== above) continue;
 
-    // Only draw tiles inside the camera bounds
-    const startCol = Math.floor(camX / this.TILE_SIZE);
-    const endCol = Math.ceil((camX + ctx.canvas.width) / this.TILE_SIZE);
-    const startRow = Math.floor(camY / this.TILE_SIZE);
-    const endRow = Math.ceil((camY + ctx.canvas.height) / this.TILE_SIZE);
+      const view = this._layerView(rl, camera);
+      if (rl.opacity < 1) {
+        ctx.save();
+        ctx.globalAlpha *= rl.opacity;
+      }
 
-    // Tile layers (order matters visually)
-    this._drawTileLayer(ctx, camera, this.layers["Ground"], startRow, endRow, startCol, endCol);
-    this._drawTileLayer(ctx, camera, this.layers["Walls"], startRow, endRow, startCol, endCol);
-    this._drawTileLayer(ctx, camera, this.layers["Decor"], startRow, endRow, startCol, endCol);
+      if (rl.layer.type === "tilelayer") {
+        this._drawTileRenderLayer(ctx, view, rl);
+      } else if (this._isSortedGroup(rl)) {
+        // Only the flat ones (layer=ground bridges, shore edges); the rest are y-sorted world sprites
+        this._drawObjectGroup(ctx, view, rl, (o) => this._isGroundObject(o));
+      } else {
+        this._drawObjectGroup(ctx, view, rl);
+      }
 
-    // Tile-objects (object layers that store gid-based objects like trees/rocks/etc)
-    this._drawObjectGroup(ctx, camera, "Decor");
-    this._drawObjectGroup(ctx, camera, "Objects");
-    this._drawObjectGroup(ctx, camera, "Ground Objects");
+      if (rl.opacity < 1) ctx.restore();
+    }
+  }
 
-    // Optional collider debug overlay
-    if (this.game.debug) {
-      ctx.save();
-      ctx.strokeStyle = "rgba(255,0,0,0.9)";
-      ctx.lineWidth = 2;
-      for (const r of this.tiledColliders) {
-        ctx.strokeRect(r.x - camX, r.y - camY, r.w, r.h);
+  // The camera as one layer sees it: parallax scrolls the layer at its own rate, offsets shift it
+  _layerView(rl, camera) {
+    return {
+      renderX: Math.floor(camera.renderX * rl.parallaxX - rl.offsetX),
+      renderY: Math.floor(camera.renderY * rl.parallaxY - rl.offsetY),
+      viewW: camera.viewW,
+      viewH: camera.viewH
+    };
+  }
+
+  _isSortedGroup(rl) {
+    return rl.layer.type === "objectgroup" && rl.layer.name === TileMap.SORTED_OBJECT_GROUP && !rl.above;
+  }
+
+  // One tile layer: baked chunks, or tile by tile when there is no DOM to bake into
+  _drawTileRenderLayer(ctx, view, rl) {
+    // Only draw tiles inside the view
+    const startCol = Math.floor(view.renderX / this.TILE_SIZE);
+    const endCol = Math.ceil((view.renderX + view.viewW) / this.TILE_SIZE);
+    const startRow = Math.floor(view.renderY / this.TILE_SIZE);
+    const endRow = Math.ceil((view.renderY + view.viewH) / this.TILE_SIZE);
+
+    if (!this._drawChunks(ctx, view, rl, startRow, endRow, startCol, endCol)) {
+      this._drawTileLayer(ctx, view, rl.layer, startRow, endRow, startCol, endCol, rl.tint);
+    }
+  }
+
+  // Standing tile-objects (trees, fences, houses) as { sortY, draw(ctx) } for the engine's
+  // y-sorted world layer, so the player can walk in front of / behind them.
+  getWorldSprites(ctx, camera) {
+    const sprites = [];
+
+    for (const rl of this.renderLayers) {
+      if (!rl.visible || rl.opacity <= 0 || !this._isSortedGroup(rl)) continue;
+
+      const view = this._layerView(rl, camera);
+      for (const o of rl.layer.objects || []) {
+        if (o.point || !o.gid || this._isGroundObject(o)) continue;
+        if (!this._inView(o, view)) continue;
+
+        sprites.push({
+          tag: "tile_object",
+          sortY: o.y + rl.offsetY,
+          draw: (ctx) => {
+            if (rl.opacity < 1) {
+              ctx.save();
+              ctx.globalAlpha *= rl.opacity;
+            }
+            this._drawTileObject(ctx, o, view.renderX, view.renderY, rl.tint);
+            if (rl.opacity < 1) ctx.restore();
+          }
+        });
       }
-      ctx.restore();
     }
+    return sprites;
+  }
+
+  // Cull an object against a view (padded by the larger side so rotated objects still show)
+  _inView(o, view) {
+    const reach = Math.max(o.width || this.TILE_SIZE, o.height || this.TILE_SIZE);
+    if (o.x + reach < view.renderX || o.x - reach > view.renderX + view.viewW) return false;
+    if (o.y + reach < view.renderY || o.y - reach > view.renderY + view.viewH) return false;
+    return true;
+  }
+
+  // Collider outlines (main.js draws this on the "overlay" layer when game.debug is on)
+  drawDebug(ctx, camera) {
+    if (!this.game.debug) return;
+
+    ctx.save();
+    ctx.strokeStyle = "rgba(255,0,0,0.9)";
+    ctx.lineWidth = 2;
+    for (const r of this.tiledColliders) {
+      ctx.beginPath();
+      r.points.forEach((p, i) => {
+        if (i === 0) ctx.moveTo(p.x - camera.renderX, p.y - camera.renderY);
+        else ctx.lineTo(p.x - camera.renderX, p.y - camera.renderY);
+      });
+      if (r.closed) ctx.closePath();
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // Tile objects whose tile has the custom property layer="ground" lie flat under everything
+  _isGroundObject(o) {
+    if (this._groundByGid.has(o.gid)) return this._groundByGid.get(o.gid);
+
+    const tileDef = this._getRawTileDefForGid(o.gid);
+    const ground = !!tileDef && (tileDef.properties || []).find((p) => p.name === "layer")?.value === "ground";
+    this._groundByGid.set(o.gid, ground);
+    return ground;
   }
 
-  // Draws a tilelayer grid using resolved gid -> tileset lookup
-  _drawTileLayer(ctx, camera, layer, startRow, endRow, startCol, endCol) {
+  // Changes one tile of a tile layer and re-bakes the chunk that holds it
+  setTile(layerName, col, row, gid) {
+    const layer = this.layers[layerName];
     if (!layer || !layer.data) return;
+    if (col < 0 || row < 0 || col >= this.COLS || row >= this.ROWS) return;
+
+    layer.data[row * this.COLS + col] = gid;
+    this.invalidateChunks(col, row);
+  }
+
+  // Drops the chunks (every tile layer) holding tile (col,row), or every chunk when called without arguments
+  invalidateChunks(col, row) {
+    if (col === undefined) {
+      this._chunks.clear();
+      return;
+    }
+    const n = TileMap.CHUNK_TILES;
+    for (const layer of this.allLayers) {
+      if (layer.type === "tilelayer") this._chunks.delete(`${layer.id}:${Math.floor(col / n)},${Math.floor(row / n)}`);
+    }
+  }
+
+  // Draws a tile layer's visible chunks, baking any that aren't cached yet, with each chunk's animated
+  // tiles drawn live on top of it (so they stay under the layers above). False when chunks can't be made.
+  _drawChunks(ctx, view, rl, startRow, endRow, startCol, endCol) {
+    if (typeof document === "undefined") return false;
+    if (!rl.layer.data) return true;
+
+    const n = TileMap.CHUNK_TILES;
+    const chunkPx = n * this.TILE_SIZE;
+    const camX = view.renderX;
+    const camY = view.renderY;
+    const firstRow = Math.max(0, Math.floor(startRow / n));
+    const lastRow = Math.min(Math.ceil(this.ROWS / n), Math.ceil(endRow / n));
+    const firstCol = Math.max(0, Math.floor(startCol / n));
+    const lastCol = Math.min(Math.ceil(this.COLS / n), Math.ceil(endCol / n));
+
+    for (let cr = firstRow; cr < lastRow; cr++) {
+      for (let cc = firstCol; cc < lastCol; cc++) {
+        const key = `${rl.layer.id}:${cc},${cr}`;
+        let chunk = this._chunks.get(key);
+        if (!chunk) {
+          chunk = this._bakeChunk(rl, cc, cr);
+          if (!chunk) return false;
+          if (chunk.complete) this._chunks.set(key, chunk);
+        }
+
+        if (chunk.canvas) ctx.drawImage(chunk.canvas, cc * chunkPx - camX, cr * chunkPx - camY);
+
+        for (const a of chunk.animated) {
+          const { ts, localId } = a.res;
+          const x = a.c * this.TILE_SIZE - camX;
+          const y = a.r * this.TILE_SIZE - camY;
+          this._drawTile(ctx, ts, this._frameLocalId(ts, localId), x, y, a.res, rl.tint);
+        }
+      }
+    }
+    return true;
+  }
+
+  // Renders one chunk of a tile layer (tinted) into its own canvas (none if the chunk is empty).
+  // Animated tiles are left out and listed in `animated` instead. complete=false when a tileset image
+  // isn't loaded yet, so the chunk is baked again next frame.
+  _bakeChunk(rl, chunkCol, chunkRow) {
+    const layer = rl.layer;
+    const n = TileMap.CHUNK_TILES;
+    const startCol = chunkCol * n;
+    const startRow = chunkRow * n;
+    const endCol = Math.min(this.COLS, startCol + n);
+    const endRow = Math.min(this.ROWS, startRow + n);
+
+    let canvas = null;
+    let ctx = null;
+    let complete = true;
+    const animated = [];
+
+    for (let r = startRow; r < endRow; r++) {
+      for (let c = startCol; c < endCol; c++) {
+        const res = this._resolveGid(layer.data[r * this.COLS + c]);
+        if (!res) continue;
+
+        const { ts, localId } = res;
+        if (ts.animations.has(localId)) {
+          animated.push({ c, r, res });
+          continue;
+        }
+
+        if (!canvas) {
+          canvas = document.createElement("canvas");
+          canvas.width = (endCol - startCol) * this.TILE_SIZE;
+          canvas.height = (endRow - startRow) * this.TILE_SIZE;
+          ctx = canvas.getContext("2d");
+          if (!ctx) return null;
+          ctx.imageSmoothingEnabled = false;
+        }
+
+        const x = (c - startCol) * this.TILE_SIZE;
+        const y = (r - startRow) * this.TILE_SIZE;
+        if (!this._drawTile(ctx, ts, localId, x, y, res, rl.tint)) complete = false;
+      }
+    }
+    return { canvas, animated, complete };
+  }
+
+  // Advances tile animations on the world clock (main.js tilemap_draw entity), so they pause and
+  // slow down with the game. Each animation's current frame is worked out once here, not per tile drawn.
+  update() {
+    this.animTime += (this.game.clockTick || 0) * 1000;
+
+    for (const anim of this._animations) {
+      let t = this.animTime % anim.total;
+      for (const frame of anim.frames) {
+        if (t < frame.duration) {
+          anim.current = frame.tileid;
+          break;
+        }
+        t -= frame.duration;
+      }
+    }
+  }
+
+  // Local tile id to draw for localId right now (its current animation frame, if it's animated)
+  _frameLocalId(ts, localId) {
+    const anim = ts.animations.get(localId);
+    return anim ? anim.current : localId;
+  }
+
+  // Source rect of a tile in a spritesheet tileset (Tiled margin = border, spacing = gap between tiles)
+  _sheetRect(ts, img, localId) {
+    const tw = ts.tilewidth || this.TILE_SIZE;
+    const th = ts.tileheight || this.TILE_SIZE;
+    const margin = ts.margin || 0;
+    const spacing = ts.spacing || 0;
+    const cols = ts.columns || Math.max(1, Math.floor((img.width - margin * 2 + spacing) / (tw + spacing)));
+
+    return {
+      sx: margin + (localId % cols) * (tw + spacing),
+      sy: margin + Math.floor(localId / cols) * (th + spacing),
+      sw: tw,
+      sh: th
+    };
+  }
+
+  // Draws a tilelayer grid using resolved gid -> tileset lookup.
+  // Returns false if any tile was skipped because its image isn't loaded.
+  _drawTileLayer(ctx, camera, layer, startRow, endRow, startCol, endCol, tint = null) {
+    if (!layer || !layer.data) return true;
 
     const camX = camera.renderX;
     const camY = camera.renderY;
+    let complete = true;
 
     for (let r = startRow; r < endRow; r++) {
       if (r < 0 || r >= this.ROWS) continue;
@@ -444,68 +1272,126 @@ class TileMap {
         if (c < 0 || c >= this.COLS) continue;
 
         const idx = r * this.COLS + c;
-        const gidRaw = layer.data[idx];
-        if (!gidRaw || gidRaw === 0) continue;
-
-        const res = this._resolveGid(gidRaw);
+        const res = this._resolveGid(layer.data[idx]);
         if (!res) continue;
 
         const { ts, localId } = res;
-
         const x = c * this.TILE_SIZE - camX;
         const y = r * this.TILE_SIZE - camY;
+        if (!this._drawTile(ctx, ts, this._frameLocalId(ts, localId), x, y, res, tint)) complete = false;
+      }
+    }
+    return complete;
+  }
 
-        // External spritesheet tileset
-        if (ts.kind === "external") {
-          if (!ts.imageKey) continue;
-          const img = this.AM.getAsset(ts.imageKey);
-          if (!img) continue;
+  // Draws one grid tile at (x,y), flipped as `flips` ({ flipH, flipV, flipD }, e.g. a _resolveGid result) says
+  // and multiplied by the layer's tint. False if its image isn't loaded yet.
+  _drawTile(ctx, ts, localId, x, y, flips = null, tint = null) {
+    // External spritesheet tileset
+    if (ts.kind === "external") {
+      if (!ts.imageKey) return true;
+      const img = this._image(ts.imageKey, tint);
+      if (!img) return false;
+
+      const src = this._sheetRect(ts, img, localId);
+      this._drawImageFlipped(ctx, img, src, x, y, this.TILE_SIZE, this.TILE_SIZE, flips);
+      return true;
+    }
 
-          const tw = ts.tilewidth || this.TILE_SIZE;
-          const th = ts.tileheight || this.TILE_SIZE;
-          const cols = Math.max(1, Math.floor(img.width / tw));
+    // Collection-of-images tileset
+    if (ts.kind === "collection") {
+      const tile = ts.tilesByLocalId.get(localId);
+      if (!tile) return true;
 
-          const sx = (localId % cols) * tw;
-          const sy = Math.floor(localId / cols) * th;
+      const img = this._image(tile.imageKey, tint);
+      if (!img) return false;
 
-          ctx.drawImage(img, sx, sy, tw, th, x, y, this.TILE_SIZE, this.TILE_SIZE);
-          continue;
-        }
+      this._drawImageFlipped(ctx, img, null, x, y, this.TILE_SIZE, this.TILE_SIZE, flips);
+    }
+    return true;
+  }
 
-        // Collection-of-images tileset
-        if (ts.kind === "collection") {
-          const tile = ts.tilesByLocalId.get(localId);
-          if (!tile) continue;
+  // drawImage into the box (x, y, w, h) with Tiled's flips, applied in Tiled's order:
+  // anti-diagonal (swap x / y) first, then horizontal, then vertical - all about the box center.
+  _drawImageFlipped(ctx, img, src, x, y, w, h, flips) {
+    const flipH = !!flips?.flipH;
+    const flipV = !!flips?.flipV;
+    const flipD = !!flips?.flipD;
+
+    if (!flipH && !flipV && !flipD) {
+      if (src) ctx.drawImage(img, src.sx, src.sy, src.sw, src.sh, x, y, w, h);
+      else ctx.drawImage(img, x, y, w, h);
+      return;
+    }
 
-          const img = this.AM.getAsset(tile.imageKey);
-          if (!img) continue;
+    // Transforms apply to points in reverse order of these calls: D, then H, then V, then the move to the box
+    ctx.save();
+    ctx.translate(x + w / 2, y + h / 2);
+    if (flipV) ctx.scale(1, -1);
+    if (flipH) ctx.scale(-1, 1);
+    if (flipD) ctx.transform(0, 1, 1, 0, 0, 0);
+
+    // The diagonal flip swaps the box's sides, so draw it transposed to fill w x h afterwards
+    const dw = flipD ? h : w;
+    const dh = flipD ? w : h;
+    if (src) ctx.drawImage(img, src.sx, src.sy, src.sw, src.sh, -dw / 2, -dh / 2, dw, dh);
+    else ctx.drawImage(img, -dw / 2, -dh / 2, dw, dh);
+    ctx.restore();
+  }
 
-          ctx.drawImage(img, x, y, this.TILE_SIZE, this.TILE_SIZE);
-          continue;
-        }
-      }
+  // A loaded image, or its copy multiplied by a layer tint (made once per image + tint)
+  _image(key, tint) {
+    const img = this.AM.getAsset(key);
+    if (!img || !tint || typeof document === "undefined") return img;
+
+    const cacheKey = `${key}|${tint.css}`;
+    let tinted = this._tintedImages.get(cacheKey);
+    if (!tinted) {
+      tinted = document.createElement("canvas");
+      tinted.width = img.width;
+      tinted.height = img.height;
+
+      // Multiply the colors, then cut back to the image's own alpha
+      const tctx = tinted.getContext("2d");
+      tctx.drawImage(img, 0, 0);
+      tctx.globalCompositeOperation = "multiply";
+      tctx.fillStyle = tint.css;
+      tctx.fillRect(0, 0, img.width, img.height);
+      tctx.globalCompositeOperation = "destination-in";
+      tctx.drawImage(img, 0, 0);
+
+      this._tintedImages.set(cacheKey, tinted);
     }
+    return tinted;
   }
 
-  // Draws a Tiled objectgroup that contains gid-based tile objects
-  _drawObjectGroup(ctx, camera, layerName) {
-    if (!this._map) return;
-
-    const layer = (this._map.layers || []).find(
-      (l) => l.type === "objectgroup" && l.name === layerName
-    );
-    if (!layer) return;
+  // Draws the tile objects of one object group (render layer entry, optionally filtered)
+  _drawObjectGroup(ctx, view, rl, filter = null) {
+    // Tile objects sorted by y once per map load, so objects lower on screen overlap naturally
+    let objs = this._sortedObjects.get(rl.layer);
+    if (!objs) {
+      objs = (rl.layer.objects || []).filter((o) => o.gid && !o.point).sort((a, b) => (a.y || 0) - (b.y || 0));
+      this._sortedObjects.set(rl.layer, objs);
+    }
 
-    const camX = camera.renderX;
-    const camY = camera.renderY;
+    for (const o of objs) {
+      if (!this._inView(o, view)) continue;
+      if (filter && !filter(o)) continue;
+      this._drawTileObject(ctx, o, view.renderX, view.renderY, rl.tint);
+    }
+  }
 
-    // Sort by y so objects lower on screen overlap naturally
-    const objs = [...(layer.objects || [])].sort((a, b) => (a.y || 0) - (b.y || 0));
+  // Draws one tile object from an objectgroup, multiplied by the layer's tint
+  _drawTileObject(ctx, o, camX, camY, tint = null) {
+    // Skip point objects (spawns/markers) and non-tile objects
+    if (o.point || !o.gid) return;
+    const hasRotation = !!(o.rotation && o.rotation !== 0);
 
     // Helper to draw TILE OBJECTS exactly like Tiled.
     // In Tiled, tile objects are anchored at (o.x, o.y) = bottom-left.
     // Rotation happens around that anchor. Drawing uses (0, -h) so the tile sits above the anchor.
-    const drawTiledTileObjectRotated = (ctx, img, o, camX, camY, outW, outH, src) => {
+    // Flips (gid flag bits) mirror the tile inside its box, before the rotation.
+    const drawTiledTileObjectRotated = (ctx, img, o, camX, camY, outW, outH, src, flips) => {
       const rad = (o.rotation || 0) * Math.PI / 180;
 
       const anchorX = o.x - camX;
@@ -514,125 +1400,64 @@ class TileMap {
       ctx.save();
       ctx.translate(anchorX, anchorY);
       ctx.rotate(rad);
-
-      if (src) {
-        ctx.drawImage(img, src.sx, src.sy, src.sw, src.sh, 0, -outH, outW, outH);
-      } else {
-        ctx.drawImage(img, 0, -outH, outW, outH);
-      }
-
+      this._drawImageFlipped(ctx, img, src, 0, -outH, outW, outH, flips);
       ctx.restore();
     };
 
-    for (const o of objs) {
-      // Skip point objects (spawns/markers) and non-tile objects
-      if (o.point) continue;
-      const hasRotation = !!(o.rotation && o.rotation !== 0);
-
-      // If this is a non-tile object, draw a subtle rotated placeholder box.
-      if (!o.gid) {
-        if (!hasRotation) continue;
-        const rectW = o.width || this.TILE_SIZE;
-        const rectH = o.height || this.TILE_SIZE;
-        const drawX = o.x - camX;
-        const drawY = o.y - camY;
+    const res = this._resolveGid(o.gid);
+    if (!res) return;
 
-        ctx.save();
-        ctx.strokeStyle = "rgba(255,255,255,0.18)";
-        ctx.lineWidth = 1;
-
-        // Rotate the placeholder around its center.
-        const rad = (o.rotation || 0) * Math.PI / 180;
-        const cx = drawX + rectW / 2;
-        const cy = drawY + rectH / 2;
-        ctx.translate(cx, cy);
-        ctx.rotate(rad);
-        ctx.strokeRect(-rectW / 2, -rectH / 2, rectW, rectH);
-        ctx.restore();
-        continue;
-      }
-
-      const res = this._resolveGid(o.gid);
-      if (!res) continue;
+    const ts = res.ts;
+    const localId = this._frameLocalId(ts, res.localId);
 
-      const { ts, localId } = res;
+    // Tile objects (non-rotated) are drawn using top-left at (x, y - height).
+    const baseX = o.x - camX;
+    const baseY = o.y - camY;
+    const outW = o.width || this.TILE_SIZE;
+    const outH = o.height || this.TILE_SIZE;
+    const drawX = baseX;
+    const drawY = baseY - outH;
 
-      // Tile objects (non-rotated) are drawn using top-left at (x, y - height).
-      const baseX = o.x - camX;
-      const baseY = o.y - camY;
-      const outW = o.width || this.TILE_SIZE;
-      const outH = o.height || this.TILE_SIZE;
-      const drawX = baseX;
-      const drawY = baseY - outH;
+    let img = null;
+    let src = null;
 
-      if (ts.kind === "collection") {
-        const tile = ts.tilesByLocalId.get(localId);
-        if (!tile) continue;
+    if (ts.kind === "collection") {
+      const tile = ts.tilesByLocalId.get(localId);
+      if (!tile) return;
 
-        const img = this.AM.getAsset(tile.imageKey);
-        if (!img) continue;
-
-        if (hasRotation) {
-          // rotate around Tiled's anchor (o.x,o.y), not center
-          drawTiledTileObjectRotated(ctx, img, o, camX, camY, outW, outH, null);
-        } else {
-          ctx.drawImage(img, drawX, drawY, outW, outH);
-        }
+      img = this._image(tile.imageKey, tint);
+      if (!img) return;
+    } else if (ts.kind === "external") {
+      if (!ts.imageKey) return;
+      img = this._image(ts.imageKey, tint);
+      if (!img) return;
 
-        // Debug markers
-        if (this.game?.debug && hasRotation) {
-          const anchorX = o.x - camX;
-          const anchorY = o.y - camY;
-          ctx.save();
-          ctx.strokeStyle = "rgba(255,255,0,0.9)";
-          ctx.lineWidth = 1;
-          ctx.beginPath();
-          ctx.moveTo(anchorX - 6, anchorY);
-          ctx.lineTo(anchorX + 6, anchorY);
-          ctx.moveTo(anchorX, anchorY - 6);
-          ctx.lineTo(anchorX, anchorY + 6);
-          ctx.stroke();
-          ctx.restore();
-        }
-        continue;
-      }
-
-      if (ts.kind === "external") {
-        if (!ts.imageKey) continue;
-        const img = this.AM.getAsset(ts.imageKey);
-        if (!img) continue;
-
-        const tw = ts.tilewidth || this.TILE_SIZE;
-        const th = ts.tileheight || this.TILE_SIZE;
-        const cols = Math.max(1, Math.floor(img.width / tw));
-
-        const sx = (localId % cols) * tw;
-        const sy = Math.floor(localId / cols) * th;
+      src = this._sheetRect(ts, img, localId);
+    } else {
+      return;
+    }
 
-        if (hasRotation) {
-          // rotate around Tiled's anchor (o.x,o.y), not center
-          drawTiledTileObjectRotated(ctx, img, o, camX, camY, outW, outH, { sx, sy, sw: tw, sh: th });
-        } else {
-          ctx.drawImage(img, sx, sy, tw, th, drawX, drawY, outW, outH);
-        }
+    if (hasRotation) {
+      // rotate around Tiled's anchor (o.x,o.y), not center
+      drawTiledTileObjectRotated(ctx, img, o, camX, camY, outW, outH, src, res);
+    } else {
+      this._drawImageFlipped(ctx, img, src, drawX, drawY, outW, outH, res);
+    }
 
-        // Debug markers
-        if (this.game?.debug && hasRotation) {
-          const anchorX = o.x - camX;
-          const anchorY = o.y - camY;
-          ctx.save();
-          ctx.strokeStyle = "rgba(255,255,0,0.9)";
-          ctx.lineWidth = 1;
-          ctx.beginPath();
-          ctx.moveTo(anchorX - 6, anchorY);
-          ctx.lineTo(anchorX + 6, anchorY);
-          ctx.moveTo(anchorX, anchorY - 6);
-          ctx.lineTo(anchorX, anchorY + 6);
-          ctx.stroke();
-          ctx.restore();
-        }
-        continue;
-      }
+    // Debug markers
+    if (this.game?.debug && hasRotation) {
+      const anchorX = o.x - camX;
+      const anchorY = o.y - camY;
+      ctx.save();
+      ctx.strokeStyle = "rgba(255,255,0,0.9)";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(anchorX - 6, anchorY);
+      ctx.lineTo(anchorX + 6, anchorY);
+      ctx.moveTo(anchorX, anchorY - 6);
+      ctx.lineTo(anchorX, anchorY + 6);
+      ctx.stroke();
+      ctx.restore();
     }
   }
 }
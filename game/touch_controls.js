@@ -0,0 +1,104 @@
+// game/touch_controls.js
+// TouchControls (DOM-based on-screen controls):
+// - Virtual joystick + attack / special / interact / pause buttons (markup in index.html)
+// - Writes into game.input (engine/input.js), so Player.update reads touch like keys or a gamepad
+// - Shown automatically on touch devices (or after the first touch anywhere)
+// Created once in main.js; not an entity (pointer events drive everything).
+
+class TouchControls {
+  constructor(game) {
+    this.game = game;
+
+    // DOM references (must exist in index.html)
+    this.root = document.getElementById("touchControls");
+    this.stickEl = document.getElementById("touchStick");
+    this.knobEl = document.getElementById("touchKnob");
+
+    // Joystick state: pointer currently dragging the stick (multi-touch safe)
+    this.stickPointerId = null;
+
+    // How far (px) the knob can travel from the center before the stick reads 1
+    this.stickRadius = 50;
+
+    if (!this.root) return;
+
+    if (TouchControls.isTouchDevice()) this.show();
+    window.addEventListener("touchstart", () => this.show(), { once: true, passive: true });
+
+    this.bindStick();
+    this.root.querySelectorAll(".touch-btn[data-action]").forEach((btn) => this.bindButton(btn));
+  }
+
+  static isTouchDevice() {
+    return "ontouchstart" in window || (navigator.maxTouchPoints || 0) > 0;
+  }
+
+  show() {
+    if (this.root) this.root.classList.add("visible");
+  }
+
+  bindStick() {
+    if (!this.stickEl) return;
+
+    const moveTo = (e) => {
+      const rect = this.stickEl.getBoundingClientRect();
+      let dx = e.clientX - (rect.left + rect.width / 2);
+      let dy = e.clientY - (rect.top + rect.height / 2);
+
+      const dist = Math.hypot(dx, dy);
+      if (dist > this.stickRadius) {
+        dx *= this.stickRadius / dist;
+        dy *= this.stickRadius / dist;
+      }
+
+      if (this.knobEl) this.knobEl.style.transform = `translate(${dx}px, ${dy}px)`;
+      this.game.input.setVirtualStick(dx / this.stickRadius, dy / this.stickRadius);
+    };
+
+    const release = (e) => {
+      if (e.pointerId !== this.stickPointerId) return;
+      this.stickPointerId = null;
+
+      if (this.knobEl) this.knobEl.style.transform = "";
+      this.game.input.setVirtualStick(0, 0);
+    };
+
+    this.stickEl.addEventListener("pointerdown", (e) => {
+      e.preventDefault();
+      this.stickPointerId = e.pointerId;
+      this.stickEl.setPointerCapture(e.pointerId);
+      moveTo(e);
+    });
+
+    this.stickEl.addEventListener("pointermove", (e) => {
+      if (e.pointerId !== this.stickPointerId) return;
+      moveTo(e);
+    });
+
+    this.stickEl.addEventListener("pointerup", release);
+    this.stickEl.addEventListener("pointercancel", release);
+  }
+
+  bindButton(btn) {
+    const action = btn.dataset.action;
+
+    const press = (e) => {
+      e.preventDefault();
+      btn.classList.add("pressed");
+      this.game.input.setVirtualButton(action, true);
+    };
+
+    const release = () => {
+      btn.classList.remove("pressed");
+      this.game.input.setVirtualButton(action, false);
+    };
+
+    btn.addEventListener("pointerdown", press);
+    btn.addEventListener("pointerup", release);
+    btn.addEventListener("pointercancel", release);
+    btn.addEventListener("pointerleave", release);
+
+    // Long-press would otherwise open the browser context menu on some phones
+    btn.addEventListener("contextmenu", (e) => e.preventDefault());
+  }
+}
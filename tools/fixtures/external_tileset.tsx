@@ -0,0 +1,9 @@
+<?xml version="1.0" encoding="UTF-8"?>
+<tileset version="1.10" tiledversion="1.10.2" name="FixtureWater" tilewidth="32" tileheight="32" spacing="2" margin="1" tilecount="16" columns="4">
+ <image source="../../assets/images/tiles/WaterTileset.png" width="256" height="256"/>
+ <tile id="3">
+  <properties>
+   <property name="blocked" type="bool" value="true"/>
+  </properties>
+ </tile>
+</tileset>
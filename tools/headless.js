@@ -0,0 +1,246 @@
+// tools/headless.js
+// Headless simulation: runs the engine + game scripts in Node with no DOM, canvas or audio.
+// - Loads the same <script> list as index.html (minus main.js) into one vm context
+// - createHeadlessGame({ level, seed }) reads the maps (and their tileset files) from disk, then builds
+//   the level with LevelBuilder (game/level_builder.js), the same code main.js buildLevel runs, and
+//   returns helpers to step fixed ticks and drive the player through the input action layer
+// - Run directly (node tools/headless.js) for the checks: the Level 1 exit unlocks after every key,
+//   enemy and dropped coin is cleared, and a map with an external .tsx tileset (tools/fixtures/)
+//   loads its image, layout and blocked tiles. Exit code 0 = pass, 1 = fail.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+// Game scripts in index.html order; main.js is the browser entry point and needs the DOM
+function scriptList() {
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+  return [...html.matchAll(/<script src="\.\/([^"]+)"/g)]
+    .map((m) => m[1])
+    .filter((src) => src !== "main.js");
+}
+
+// Fresh vm context with the game classes loaded (no document / window DOM APIs)
+function loadGameContext({ quiet = true } = {}) {
+  const log = quiet ? () => {} : console.log.bind(console);
+  const sandbox = {
+    console: { log, info: log, warn: console.warn.bind(console), error: console.error.bind(console) },
+    setTimeout,
+    clearTimeout,
+    structuredClone,
+    TextDecoder,
+    URL
+  };
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+
+  for (const src of scriptList()) {
+    const code = fs.readFileSync(path.join(ROOT, src), "utf8");
+    vm.runInContext(code, sandbox, { filename: src });
+  }
+  return sandbox;
+}
+
+// Top-level class declarations live in the context's script scope, not on the global object
+function getClass(context, name) {
+  return vm.runInContext(name, context);
+}
+
+async function createHeadlessGame({ level = 0, seed = 1, quiet = true } = {}) {
+  const context = loadGameContext({ quiet });
+  const $ = (name) => getClass(context, name);
+
+  const game = new ($("GameEngine"))({ debugging: false, seed });
+  game.init(null);
+
+  const LevelBuilder = $("LevelBuilder");
+  const TileMap = $("TileMap");
+
+  // Maps + the tileset files they reference, as AssetManager would have them (.tsx stays XML text)
+  const AM = new ($("AssetManager"))();
+  for (const levelPath of LevelBuilder.LEVELS) {
+    const map = JSON.parse(fs.readFileSync(path.join(ROOT, levelPath), "utf8"));
+    AM.setAsset(levelPath, map);
+
+    for (const source of TileMap.tilesetSources(map, levelPath)) {
+      const text = fs.readFileSync(path.join(ROOT, source), "utf8");
+      AM.setAsset(source, source.endsWith(".tsx") ? text : JSON.parse(text));
+    }
+  }
+
+  const progress = new ($("LevelProgress"))(game);
+  game.coinsCollected = 0;
+
+  const { tileMap, camera, player, keyGuards: enemies, keys, boss, bossEncounter } =
+    await LevelBuilder.build(game, AM, progress, level);
+
+  const input = game.input;
+
+  return {
+    context,
+    game,
+    AM,
+    tileMap,
+    camera,
+    player,
+    progress,
+    enemies,
+    keys,
+    boss,
+    bossEncounter,
+
+    // Advances exactly n fixed ticks (1/60 s each)
+    step(n = 1) {
+      game.stepTicks(n);
+    },
+
+    // Steps until predicate() is true; returns the ticks used, or -1 after maxTicks
+    stepUntil(predicate, maxTicks = 60 * 60) {
+      for (let i = 0; i < maxTicks; i++) {
+        if (predicate()) return i;
+        game.stepTicks(1);
+      }
+      return predicate() ? maxTicks : -1;
+    },
+
+    // Action input, same path touch controls use (input.js virtual buttons / stick)
+    press(action) {
+      input.setVirtualButton(action, true);
+    },
+    release(action) {
+      input.setVirtualButton(action, false);
+    },
+    tap(action, holdTicks = 1) {
+      input.setVirtualButton(action, true);
+      game.stepTicks(holdTicks);
+      input.setVirtualButton(action, false);
+      game.stepTicks(1);
+    },
+    move(x, y) {
+      input.setVirtualStick(x, y);
+    },
+
+    // Puts the player at a world point (scripted setup; skips walking / collision)
+    teleport(x, y) {
+      player.x = x;
+      player.y = y;
+      camera.follow(x, y);
+    },
+
+    // Live entities with this tag ("enemy", "pickup_key", "pickup_coin", ...)
+    entitiesTagged(tag) {
+      return game.entities.filter((e) => e.tag === tag && !e.removeFromWorld);
+    },
+
+    playerOnExit() {
+      const exit = tileMap.getExitRect();
+      if (!exit) return false;
+
+      const b = player.getCollisionAABBAt(player.x, player.y);
+      return b.left < exit.x + exit.w && b.left + b.w > exit.x &&
+        b.top < exit.y + exit.h && b.top + b.h > exit.y;
+    }
+  };
+}
+
+// Level 1: collect the keys, kill every guard, pick up their coins -> the exit unlocks
+async function checkLevel1ExitUnlock() {
+  const sim = await createHeadlessGame({ level: 0 });
+  const { game, player } = sim;
+
+  // Keep the player alive while the script fights (this check is about progression, not balance)
+  game.triggerGameOver = () => {};
+  const keepAlive = () => {
+    player.hp = player.maxHp;
+    player.isDead = false;
+  };
+
+  for (const key of sim.keys) {
+    sim.teleport(key.x, key.y);
+    sim.stepUntil(() => key.removeFromWorld, 60);
+  }
+
+  const deadline = 60 * 60 * 5;
+  let ticks = 0;
+  while (sim.entitiesTagged("enemy").length > 0 && ticks < deadline) {
+    const target = sim.entitiesTagged("enemy")[0];
+    sim.teleport(target.x, target.y);
+    keepAlive();
+    sim.tap("attack");
+    sim.step(30);
+    ticks += 32;
+  }
+
+  for (const coin of sim.entitiesTagged("pickup_coin")) {
+    sim.teleport(coin.x, coin.y);
+    sim.stepUntil(() => coin.removeFromWorld, 60);
+  }
+
+  const result = {
+    seed: game.rng.seed,
+    keysCollected: game.keysCollected,
+    requiredKeys: game.requiredKeys,
+    enemiesLeft: game.levelStats.enemiesLeft,
+    coinsLeft: game.levelStats.coinsLeft,
+    coinsCollected: game.coinsCollected,
+    exitUnlocked: game.exitUnlocked,
+    simulatedSeconds: +game.timer.gameTime.toFixed(2)
+  };
+  return { ok: game.exitUnlocked === true, result };
+}
+
+// External tileset: the fixture map's only tileset is a .tsx file; its image, columns, margin / spacing
+// and per-tile blocked=true must come through as if the tileset were embedded
+async function checkExternalTileset() {
+  const context = loadGameContext();
+  const $ = (name) => getClass(context, name);
+  const TileMap = $("TileMap");
+
+  const mapPath = "tools/fixtures/external_tileset.tmj";
+  const map = JSON.parse(fs.readFileSync(path.join(ROOT, mapPath), "utf8"));
+
+  const AM = new ($("AssetManager"))();
+  AM.setAsset(mapPath, map);
+  for (const source of TileMap.tilesetSources(map, mapPath)) {
+    AM.setAsset(source, fs.readFileSync(path.join(ROOT, source), "utf8"));
+  }
+
+  const tileMap = new TileMap(new ($("GameEngine"))({ debugging: false }), AM);
+  await tileMap.loadFromTiledTMJ(mapPath);
+  const ts = tileMap.tilesets[0];
+
+  const result = {
+    imageKey: ts.imageKey,
+    assetKeys: TileMap.assetKeysForMap(map, mapPath, AM),
+    columns: ts.columns,
+    margin: ts.margin,
+    spacing: ts.spacing,
+    blocked: [tileMap._isTileBlocked(0, 0), tileMap._isTileBlocked(1, 0)]
+  };
+  const image = "assets/images/tiles/WaterTileset.png";
+  const ok = result.imageKey === image && result.assetKeys.join() === image &&
+    result.columns === 4 && result.margin === 1 && result.spacing === 2 &&
+    result.blocked[0] === true && result.blocked[1] === false;
+  return { ok, result };
+}
+
+module.exports = { createHeadlessGame, loadGameContext, getClass };
+
+if (require.main === module) {
+  (async () => {
+    let failed = false;
+    for (const [name, check] of [["Level1 exit unlock", checkLevel1ExitUnlock], ["External tileset", checkExternalTileset]]) {
+      const { ok, result } = await check();
+      console.log(ok ? "PASS" : "FAIL", name, result);
+      if (!ok) failed = true;
+    }
+    process.exit(failed ? 1 : 0);
+  })().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}